@@ -0,0 +1,185 @@
+// api-gateway/circuitBreaker.js
+// Circuit breaker por instância (serviço + url) e escopo (prefixo da rota, ou
+// '*' para as chamadas do próprio gateway, como /api/dashboard):
+//
+//   closed     tudo passa; cada chamada entra numa janela deslizante de windowMs.
+//              Com pelo menos minRequests chamadas na janela, abre se a taxa de
+//              erro (sem resposta, timeout ou 5xx) chegar a errorRate ou a de
+//              chamadas lentas (>= slowCallMs) chegar a slowCallRate
+//   open       rejeita tudo por openMs
+//   half-open  deixa passar até halfOpenProbes chamadas de teste ao mesmo tempo;
+//              uma falha ou lentidão reabre, halfOpenProbes sucessos fecham
+//
+// Os limiares podem vir do routes.json ("breaker" no topo e em cada rota).
+
+const DEFAULT_BREAKER = {
+  windowMs: 30_000,
+  minRequests: 10,
+  errorRate: 0.5,
+  slowCallMs: 5000,
+  slowCallRate: 0.8,
+  openMs: 30_000,
+  halfOpenProbes: 3
+};
+const RATE_FIELDS = ['errorRate', 'slowCallRate'];
+
+// Problemas de uma configuração parcial de breaker (lista vazia se ok)
+function validateBreakerConfig(config, where) {
+  if (config === undefined) return [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return [`${where} deve ser um objeto`];
+  const problems = [];
+  for (const [field, value] of Object.entries(config)) {
+    if (!(field in DEFAULT_BREAKER)) {
+      problems.push(`${where}.${field} desconhecido (use ${Object.keys(DEFAULT_BREAKER).join(', ')})`);
+    } else if (typeof value !== 'number' || !(value > 0) || (RATE_FIELDS.includes(field) && value > 1)) {
+      problems.push(`${where}.${field} deve ser um número positivo${RATE_FIELDS.includes(field) ? ' até 1' : ''}`);
+    }
+  }
+  return problems;
+}
+
+class CircuitBreaker {
+  constructor(config = {}) {
+    this.configure(config);
+    this.state = 'closed';
+    this.calls = []; // janela: { at, error, slow }
+    this.openedAt = null;
+    this.probesInFlight = 0;
+    this.probeSuccesses = 0;
+  }
+
+  configure(config) {
+    this.config = { ...DEFAULT_BREAKER, ...config };
+  }
+
+  // open vira half-open quando o tempo aberto acaba
+  refresh(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.config.openMs) {
+      this.state = 'half-open';
+      this.probesInFlight = 0;
+      this.probeSuccesses = 0;
+    }
+  }
+
+  // Aceitaria uma chamada agora? (sem reservar; para escolher a instância)
+  available() {
+    this.refresh();
+    if (this.state === 'open') return false;
+    return this.state === 'closed' || this.probesInFlight < this.config.halfOpenProbes;
+  }
+
+  // Reserva uma chamada; devolve a função que registra o resultado
+  // ({ error, durationMs }, ou nada se a chamada não chegou a um resultado,
+  // ex: cliente desistiu) ou null se o circuito não deixa passar
+  tryAcquire() {
+    if (!this.available()) return null;
+    const probe = this.state === 'half-open';
+    if (probe) this.probesInFlight += 1;
+    let done = false;
+    return (outcome) => {
+      if (done) return;
+      done = true;
+      if (probe) this.probesInFlight -= 1;
+      if (outcome) this.record(outcome, probe);
+    };
+  }
+
+  record({ error, durationMs = 0 }, probe) {
+    const now = Date.now();
+    const slow = durationMs >= this.config.slowCallMs;
+    if (probe) {
+      // resultado de um teste de um half-open que já pode ter mudado
+      if (this.state !== 'half-open') return;
+      if (error || slow) return this.open(now);
+      this.probeSuccesses += 1;
+      if (this.probeSuccesses >= this.config.halfOpenProbes) this.close();
+      return;
+    }
+    if (this.state !== 'closed') return;
+    this.calls.push({ at: now, error: Boolean(error), slow });
+    this.prune(now);
+    const { total, errorRate, slowRate } = this.rates();
+    if (total >= this.config.minRequests
+      && (errorRate >= this.config.errorRate || slowRate >= this.config.slowCallRate)) {
+      this.open(now);
+    }
+  }
+
+  prune(now = Date.now()) {
+    const since = now - this.config.windowMs;
+    let first = 0;
+    while (first < this.calls.length && this.calls[first].at < since) first++;
+    if (first) this.calls.splice(0, first);
+  }
+
+  rates() {
+    const total = this.calls.length;
+    const errors = this.calls.filter(call => call.error).length;
+    const slow = this.calls.filter(call => call.slow).length;
+    return { total, errors, slow, errorRate: total ? errors / total : 0, slowRate: total ? slow / total : 0 };
+  }
+
+  open(now) {
+    this.state = 'open';
+    this.openedAt = now;
+    this.calls = [];
+  }
+
+  close() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.calls = [];
+  }
+
+  // Situação para GET /breakers
+  snapshot() {
+    this.refresh();
+    this.prune();
+    const { total, errors, slow, errorRate, slowRate } = this.rates();
+    return {
+      state: this.state,
+      window: { calls: total, errors, slow, errorRate, slowRate },
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.config.openMs).toISOString() : null,
+      halfOpen: this.state === 'half-open'
+        ? { inFlight: this.probesInFlight, successes: this.probeSuccesses, probes: this.config.halfOpenProbes }
+        : null,
+      config: this.config
+    };
+  }
+}
+
+// Breakers do gateway, criados sob demanda por serviço + url + escopo
+class CircuitBreakers {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  // config: limiares da rota (já mesclados com os padrões do arquivo); uma
+  // tabela recarregada passa a valer para os breakers existentes
+  get(service, url, scope = '*', config = {}) {
+    const id = `${service} ${url} ${scope}`;
+    if (!this.breakers.has(id)) {
+      this.breakers.set(id, { service, url, scope, breaker: new CircuitBreaker(config) });
+    } else {
+      this.breakers.get(id).breaker.configure(config);
+    }
+    return this.breakers.get(id).breaker;
+  }
+
+  // { serviço: [{ url, scope, state, window, ... }] }
+  snapshot() {
+    const services = {};
+    for (const { service, url, scope, breaker } of this.breakers.values()) {
+      (services[service] ||= []).push({ url, scope, ...breaker.snapshot() });
+    }
+    return services;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitBreakers,
+  DEFAULT_BREAKER,
+  validateBreakerConfig
+};
@@ -0,0 +1,123 @@
+// api-gateway/retryPolicy.js
+// Retentativas do proxy do gateway quando a instância falha antes de responder
+// (conexão recusada, caiu, timeout sem resposta):
+//
+//   - só métodos idempotentes: GET, HEAD, OPTIONS, PUT, DELETE; POST e PATCH
+//     apenas com o cabeçalho Idempotency-Key
+//   - só se o corpo puder ser reenviado (sem corpo, ou já lido pelo express.json())
+//   - espera exponencial com jitter ("full jitter"): aleatório entre 0 e
+//     min(maxMs, baseMs * 2^tentativa)
+//   - orçamento por serviço: na janela de windowMs, no máximo ratio * requisições
+//     (ou minRetries, o que for maior) viram retentativas, para que elas não
+//     multipliquem a carga durante uma queda
+//
+// Limiares no routes.json: "retry" no topo e em cada rota, "retryBudget" no topo.
+
+const DEFAULT_RETRY = {
+  attempts: 2, // retentativas além da primeira tentativa (0 desliga)
+  baseMs: 100,
+  maxMs: 1000
+};
+const DEFAULT_RETRY_BUDGET = {
+  ratio: 0.2,
+  minRetries: 10,
+  windowMs: 10_000
+};
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Problemas de uma configuração parcial (lista vazia se ok); attempts e
+// minRetries aceitam 0
+function validateConfig(config, defaults, where) {
+  if (config === undefined) return [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return [`${where} deve ser um objeto`];
+  const problems = [];
+  for (const [field, value] of Object.entries(config)) {
+    const zeroOk = field === 'attempts' || field === 'minRetries';
+    if (!(field in defaults)) {
+      problems.push(`${where}.${field} desconhecido (use ${Object.keys(defaults).join(', ')})`);
+    } else if (typeof value !== 'number' || !(zeroOk ? value >= 0 : value > 0) || (field === 'ratio' && value > 1)) {
+      problems.push(`${where}.${field} inválido`);
+    }
+  }
+  return problems;
+}
+
+const validateRetryConfig = (config, where) => validateConfig(config, DEFAULT_RETRY, where);
+const validateBudgetConfig = (config, where) => validateConfig(config, DEFAULT_RETRY_BUDGET, where);
+
+function isIdempotent(req) {
+  if (IDEMPOTENT_METHODS.includes(req.method)) return true;
+  return ['POST', 'PATCH'].includes(req.method) && Boolean(req.get('Idempotency-Key'));
+}
+
+// O corpo pode ser enviado de novo? (o stream da requisição só é lido uma vez)
+function canReplayBody(req) {
+  const hasBody = req.headers['transfer-encoding'] !== undefined
+    || Number(req.headers['content-length'] || 0) > 0;
+  return !hasBody || req._body === true; // _body: corpo já lido pelo body-parser
+}
+
+// Espera antes da retentativa `attempt` (0 = primeira retentativa)
+function backoffDelay(attempt, config = {}) {
+  const { baseMs, maxMs } = { ...DEFAULT_RETRY, ...config };
+  return Math.floor(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+class RetryBudget {
+  constructor(config = {}) {
+    this.configure(config);
+    this.requests = []; // instantes das requisições na janela
+    this.retries = []; // instantes das retentativas na janela
+    this.rejected = 0;
+  }
+
+  configure(config) {
+    this.config = { ...DEFAULT_RETRY_BUDGET, ...config };
+  }
+
+  prune(now) {
+    const since = now - this.config.windowMs;
+    for (const list of [this.requests, this.retries]) {
+      let first = 0;
+      while (first < list.length && list[first] < since) first++;
+      if (first) list.splice(0, first);
+    }
+  }
+
+  recordRequest(now = Date.now()) {
+    this.prune(now);
+    this.requests.push(now);
+  }
+
+  // Reserva uma retentativa se o orçamento permitir
+  tryRetry(now = Date.now()) {
+    this.prune(now);
+    const allowed = Math.max(this.config.minRetries, Math.floor(this.config.ratio * this.requests.length));
+    if (this.retries.length >= allowed) {
+      this.rejected += 1;
+      return false;
+    }
+    this.retries.push(now);
+    return true;
+  }
+
+  snapshot() {
+    this.prune(Date.now());
+    return {
+      requests: this.requests.length,
+      retries: this.retries.length,
+      rejected: this.rejected,
+      config: this.config
+    };
+  }
+}
+
+module.exports = {
+  RetryBudget,
+  DEFAULT_RETRY,
+  isIdempotent,
+  canReplayBody,
+  backoffDelay,
+  validateRetryConfig,
+  validateBudgetConfig
+};
@@ -0,0 +1,150 @@
+// api-gateway/routeTable.js
+// Tabela de rotas do gateway, declarada em routes.json (ou no arquivo de GATEWAY_ROUTES):
+//
+//   {
+//     "services": { "user-service": { "fallback": "http://localhost:3001" } },
+//     "routes": [
+//       { "prefix": "/api/users", "service": "user-service", "rewrite": "/users",
+//         "methods": ["GET", "PUT"], "auth": true, "timeout": 5000 }
+//     ]
+//   }
+//
+//   prefix    início do caminho (casa /api/users e /api/users/..., não /api/usersX)
+//   service   nome do serviço no registry
+//   rewrite   o que substitui o prefixo no caminho repassado (padrão: o prefixo sem /api)
+//   methods   métodos aceitos (padrão: todos); outro método responde 405
+//   auth      exige JWT válido e sessão ativa no user-service (ver
+//             shared/sessionCheck.js) antes de repassar (padrão false)
+//   timeout   ms para o serviço responder (padrão 10s)
+//   breaker   limiares do circuit breaker da rota, sobre os de "breaker" no
+//             topo do arquivo e os padrões (ver circuitBreaker.js)
+//   retry     retentativas da rota (attempts, baseMs, maxMs), sobre as de
+//             "retry" no topo; o orçamento por serviço fica em "retryBudget"
+//             no topo (ver retryPolicy.js)
+//   fallback  (em services) endereço usado quando o registry não tem instância
+//
+// O prefixo mais longo vence. watch() relê o arquivo quando ele muda; um
+// arquivo inválido é rejeitado e a tabela anterior continua valendo.
+const fs = require('fs');
+const { validateBreakerConfig } = require('./circuitBreaker');
+const { validateRetryConfig, validateBudgetConfig } = require('./retryPolicy');
+
+const DEFAULT_TIMEOUT_MS = 10_000;
+const WATCH_INTERVAL_MS = 1000;
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Valida e normaliza o conteúdo do arquivo; lança Error com todos os problemas
+function parseConfig(config) {
+  const problems = validateBreakerConfig(config && config.breaker, 'breaker');
+  const breakerDefaults = (config && config.breaker) || {};
+  problems.push(...validateRetryConfig(config && config.retry, 'retry'));
+  problems.push(...validateBudgetConfig(config && config.retryBudget, 'retryBudget'));
+  const retryDefaults = (config && config.retry) || {};
+  const retryBudget = (config && config.retryBudget) || {};
+  const services = {};
+  for (const [name, service] of Object.entries((config && config.services) || {})) {
+    if (service.fallback !== undefined && !/^https?:\/\//.test(service.fallback)) {
+      problems.push(`services.${name}.fallback deve ser uma url http(s)`);
+    }
+    services[name] = { fallback: service.fallback || null };
+  }
+
+  if (!config || !Array.isArray(config.routes)) problems.push('routes deve ser uma lista');
+  const routes = ((config && config.routes) || []).map((route, i) => {
+    const where = `routes[${i}]`;
+    const prefix = typeof route.prefix === 'string' ? route.prefix.replace(/\/+$/, '') : '';
+    if (!prefix.startsWith('/')) problems.push(`${where}.prefix deve começar com /`);
+    if (typeof route.service !== 'string' || !route.service) problems.push(`${where}.service é obrigatório`);
+    const rewrite = route.rewrite === undefined ? prefix.replace(/^\/api(?=\/|$)/, '') : route.rewrite;
+    if (typeof rewrite !== 'string' || (rewrite && !rewrite.startsWith('/'))) {
+      problems.push(`${where}.rewrite deve ser vazio ou começar com /`);
+    }
+    let methods = null;
+    if (route.methods !== undefined) {
+      methods = Array.isArray(route.methods) ? route.methods.map(m => String(m).toUpperCase()) : [];
+      const unknown = methods.filter(m => !METHODS.includes(m));
+      if (methods.length === 0 || unknown.length) problems.push(`${where}.methods inválido (use ${METHODS.join(', ')})`);
+    }
+    const timeout = route.timeout === undefined ? DEFAULT_TIMEOUT_MS : Number(route.timeout);
+    if (!Number.isFinite(timeout) || timeout <= 0) problems.push(`${where}.timeout deve ser um número positivo (ms)`);
+    problems.push(...validateBreakerConfig(route.breaker, `${where}.breaker`));
+    const breaker = { ...breakerDefaults, ...route.breaker };
+    problems.push(...validateRetryConfig(route.retry, `${where}.retry`));
+    const retry = { ...retryDefaults, ...route.retry };
+    return { prefix, service: route.service, rewrite, methods, auth: route.auth === true, timeout, breaker, retry };
+  });
+
+  if (problems.length) throw new Error(problems.join('; '));
+  // prefixo mais longo primeiro
+  routes.sort((a, b) => b.prefix.length - a.prefix.length);
+  return { routes, services, breaker: breakerDefaults, retryBudget };
+}
+
+class RouteTable {
+  constructor(file) {
+    this.file = file;
+    this.routes = [];
+    this.services = {};
+    this.breaker = {};
+    this.retryBudget = {};
+    this.loadedAt = null;
+  }
+
+  // Lê o arquivo e troca a tabela de uma vez (lança se for inválido)
+  load() {
+    const { routes, services, breaker, retryBudget } = parseConfig(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+    this.routes = routes;
+    this.services = services;
+    this.breaker = breaker;
+    this.retryBudget = retryBudget;
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  // Recarrega quando o arquivo muda; onReload(error) a cada tentativa.
+  // Devolve a função que para de observar
+  watch(onReload = () => {}) {
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      try {
+        this.load();
+        onReload(null);
+      } catch (e) {
+        onReload(e);
+      }
+    };
+    fs.watchFile(this.file, { interval: WATCH_INTERVAL_MS, persistent: false }, listener);
+    return () => fs.unwatchFile(this.file, listener);
+  }
+
+  // { route } para a rota que atende; { allowed } se o caminho casa mas o
+  // método não; null se nenhuma rota cobre o caminho
+  match(method, path) {
+    const candidates = this.routes.filter(route => path === route.prefix || path.startsWith(`${route.prefix}/`));
+    if (candidates.length === 0) return null;
+    const accepts = (route) => !route.methods || route.methods.includes(method)
+      || (method === 'HEAD' && route.methods.includes('GET'));
+    const route = candidates.find(accepts);
+    if (route) return { route };
+    return { allowed: [...new Set(candidates.flatMap(candidate => candidate.methods))] };
+  }
+
+  // Caminho (com query string) a repassar ao serviço
+  rewrite(route, url) {
+    return `${route.rewrite}${url.slice(route.prefix.length)}` || '/';
+  }
+
+  // Serviços citados pela tabela (health consolidado, checks do gateway)
+  serviceNames() {
+    return [...new Set(this.routes.map(route => route.service))];
+  }
+
+  fallback(name) {
+    return (this.services[name] && this.services[name].fallback) || null;
+  }
+}
+
+module.exports = {
+  RouteTable,
+  parseConfig
+};
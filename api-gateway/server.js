@@ -2,11 +2,24 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const {
+  createProxyMiddleware,
+  fixRequestBody,
+  debugProxyErrorsPlugin,
+  loggerPlugin,
+  proxyEventsPlugin
+} = require('http-proxy-middleware');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const path = require('path');
 
 const serviceRegistry = require('../shared/serviceRegistry'); // ajuste se seu shared estiver noutro lugar
+const { SearchIndex } = require('../shared/searchIndex');
+const { VersionRouter, versionOf, canariesFromEnv } = require('../shared/versionRouting');
+const { createSessionCheck } = require('../shared/sessionCheck');
+const { RouteTable } = require('./routeTable');
+const { CircuitBreakers } = require('./circuitBreaker');
+const { RetryBudget, isIdempotent, canReplayBody, backoffDelay } = require('./retryPolicy');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,45 +30,110 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan('combined'));
 
+/* --------------------------------- Rotas ------------------------------------ */
+// Rotas e endereços de fallback vêm de routes.json (ver routeTable.js),
+// recarregado sem reiniciar quando o arquivo muda
+const routeTable = new RouteTable(process.env.GATEWAY_ROUTES || path.join(__dirname, 'routes.json')).load();
+routeTable.watch((error) => {
+  if (error) console.error('[routes] arquivo inválido, mantendo a tabela anterior:', error.message);
+  else console.log(`[routes] tabela recarregada: ${routeTable.routes.length} rotas`);
+});
+
+/* ---------------------------- Circuit Breaker --------------------------------
+ * Um breaker por instância e rota (ver circuitBreaker.js): janela deslizante
+ * com taxa de erro e de chamadas lentas, half-open com poucas chamadas de teste
+ * e limiares por rota no routes.json. GET /breakers mostra o estado.
+ * --------------------------------------------------------------------------- */
+const breakers = new CircuitBreakers();
+
+// Breaker da instância na rota (sem rota: chamadas do próprio gateway)
+function breakerFor(name, url, route) {
+  return route
+    ? breakers.get(name, url, route.prefix, route.breaker)
+    : breakers.get(name, url, '*', routeTable.breaker);
+}
+
 /* ------------------------- Service Discovery helpers ------------------------ */
-const FALLBACKS = {
-  'user-service': 'http://localhost:3001',
-  'list-service': 'http://localhost:3002',
-  'item-service': 'http://localhost:3003'
-};
 
-async function lookup(name) {
+// Vista local do registry, atualizada pelo watch (sem reler o registry a cada requisição)
+serviceRegistry.startCache();
+serviceRegistry.watch('*', (event) => {
+  if (event.type !== 'resync') console.log(`[registry] ${event.service} ${event.type}: ${event.instance.url}`);
+});
+
+// Canários (CANARY ou PUT /versions/:service/canary) e tráfego por versão
+const versions = new VersionRouter(canariesFromEnv());
+
+// A instância é escolhida entre as da versão pedida (X-Service-Version) ou
+// sorteada pelo canário, e depois pela estratégia de balanceamento do serviço
+// (LB_STRATEGY / LB_STRATEGIES; ver shared/loadBalancing.js e shared/versionRouting.js).
+// Instâncias com o circuito aberto ficam de fora e, numa retentativa, as já
+// tentadas (`tried`) só entram se não houver outra.
+// Devolve { url, version }; { blocked: true } se todas as candidatas estão com
+// o circuito aberto; null se a versão fixada não tiver instância
+async function pickInstance(name, { pinned, route, tried = new Set() } = {}) {
+  const available = (url) => breakerFor(name, url, route).available();
+  let blocked = false;
   try {
-    const url = await serviceRegistry.lookup?.(name);
-    return url || FALLBACKS[name];
-  } catch {
-    return FALLBACKS[name];
-  }
+    const instance = await serviceRegistry.discover(name, {
+      select: (instances) => {
+        // versão fixada filtra antes do breaker (circuito aberto nela = 503);
+        // sem ela, o canário divide só as instâncias com o circuito liberado,
+        // senão breakers abertos de um lado derrubariam o tráfego sorteado para ele
+        const pool = pinned ? versions.select(name, instances, pinned) : instances;
+        const allowed = pool.filter(candidate => available(candidate.url));
+        blocked = pool.length > 0 && allowed.length === 0;
+        const candidates = pinned ? allowed : versions.select(name, allowed);
+        const untried = candidates.filter(candidate => !tried.has(candidate.url));
+        return untried.length ? untried : candidates;
+      }
+    });
+    if (instance) return { url: instance.url, version: versionOf(instance) };
+  } catch {}
+  if (blocked) return { blocked: true };
+  // endereço fixo não tem versão conhecida: não atende versão fixada
+  if (pinned) return null;
+  const url = routeTable.fallback(name);
+  if (url && !available(url)) return { blocked: true };
+  return { url, version: versionOf(null) };
 }
 
-/* ---------------------------- Circuit Breaker --------------------------------
- * Estados por serviço: { failures, openedAt }
- * - abre após 3 falhas;
- * - se aberto, retorna 503 até passar o cooldown (30s).
- * --------------------------------------------------------------------------- */
-const breakers = {};
-const MAX_FAILS = 3;
-const COOLDOWN_MS = 30_000;
-
-function canPass(name) {
-  const b = breakers[name];
-  if (!b) return true;
-  if (b.failures < MAX_FAILS) return true;
-  // aberto: espera cooldown
-  const elapsed = Date.now() - (b.openedAt || 0);
-  if (elapsed > COOLDOWN_MS) { breakers[name] = { failures: 0, openedAt: null }; return true; }
-  return false;
+async function lookup(name) {
+  return (await pickInstance(name)).url;
+}
+
+// Sinal passivo para o health da instância no registry (sem atrasar a resposta):
+// erro de conexão/timeout ou 502/503/504 contam como falha
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+function reportPassive(name, url, ok, error) {
+  serviceRegistry.reportOutcome(name, url, ok, error).catch(() => {});
 }
-function reportSuccess(name) { breakers[name] = { failures: 0, openedAt: null }; }
-function reportFailure(name) {
-  const prev = breakers[name]?.failures || 0;
-  const failures = prev + 1;
-  breakers[name] = { failures, openedAt: failures >= MAX_FAILS ? Date.now() : breakers[name]?.openedAt || null };
+
+// Chamada do gateway a um serviço: conta como requisição em andamento na
+// instância escolhida (least-outstanding) até a resposta chegar e passa pelo
+// breaker da instância
+async function callService(name, request) {
+  const { url: base, version, blocked } = await pickInstance(name);
+  const permit = base && breakerFor(name, base).tryAcquire();
+  if (!permit) throw new Error(blocked || base ? `Circuito aberto para ${name}` : `Nenhuma instância de ${name}`);
+  const release = serviceRegistry.acquire(name, base);
+  const started = Date.now();
+  let ok = false;
+  try {
+    const response = await request(base);
+    ok = true;
+    reportPassive(name, base, true);
+    return response;
+  } catch (e) {
+    ok = Boolean(e.response && e.response.status < 500);
+    const status = e.response && e.response.status;
+    reportPassive(name, base, Boolean(status) && !UNAVAILABLE_STATUSES.includes(status), e.message);
+    throw e;
+  } finally {
+    release();
+    versions.record(name, version, ok);
+    permit({ error: !ok, durationMs: Date.now() - started });
+  }
 }
 
 /* ------------------------------ Auth forwarder ------------------------------ */
@@ -64,101 +142,196 @@ function extractBearer(req) {
   return h.startsWith('Bearer ') ? h.slice(7) : null;
 }
 
-/* --------------------------------- Proxies ---------------------------------- */
-async function makeProxy(targetName) {
-  const target = await lookup(targetName);
+// Sessão do token no user-service (ver shared/sessionCheck.js), pelo breaker
+// e balanceamento do gateway como as demais chamadas
+const isSessionActive = createSessionCheck({
+  validate: (token) => callService('user-service', base =>
+    axios.post(`${base}/auth/validate`, { token }, { timeout: 5000 }))
+});
+
+// Confere assinatura e sessão do JWT; se não passar, responde 401 (ou 503 sem
+// o user-service) e devolve null
+async function authenticate(req, res) {
+  const token = extractBearer(req);
+  if (!token) {
+    res.status(401).json({ error: 'Token ausente' });
+    return null;
+  }
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    res.status(401).json({ error: 'Token inválido' });
+    return null;
+  }
+  try {
+    if (await isSessionActive(token, payload)) return payload;
+    res.status(401).json({ error: 'Sessão encerrada' });
+  } catch {
+    res.status(503).json({ error: 'Serviço de autenticação indisponível' });
+  }
+  return null;
+}
 
+/* -------------------------------- Retentativas ------------------------------- */
+// Orçamento de retentativas por serviço (ver retryPolicy.js)
+const retryBudgets = new Map();
+function retryBudgetFor(name) {
+  if (!retryBudgets.has(name)) retryBudgets.set(name, new RetryBudget(routeTable.retryBudget));
+  const budget = retryBudgets.get(name);
+  budget.configure(routeTable.retryBudget);
+  return budget;
+}
+
+// A falha (antes de qualquer resposta ao cliente) pode ser tentada de novo?
+function canRetry(route, req, res, attempt) {
+  return !res.headersSent
+    && attempt < route.retry.attempts
+    && isIdempotent(req)
+    && canReplayBody(req)
+    && retryBudgetFor(route.service).tryRetry();
+}
+
+/* --------------------------------- Proxies ---------------------------------- */
+// Um proxy por rota da tabela (cada uma tem seu timeout); o destino vem de
+// req.upstream e o caminho já reescrito de req.proxyPath. Sem o plugin que
+// responde 502 sozinho: o handler de erro decide entre retentar e responder
+function makeProxy(route) {
+  const targetName = route.service;
   return createProxyMiddleware({
-    target,
+    ejectPlugins: true,
+    plugins: [debugProxyErrorsPlugin, proxyEventsPlugin, loggerPlugin],
     changeOrigin: true,
-    pathRewrite: (path) => {
-      // remover prefixo /api/<area>
-      // ex: /api/users/123 -> /users/123
-      return path.replace(/^\/api\/(auth|users|items|lists)/, (m, g1) => `/${g1}`);
-    },
-    onProxyReq: (proxyReq, req) => {
-      // repassa Authorization
-      const token = extractBearer(req);
-      if (token) proxyReq.setHeader('Authorization', `Bearer ${token}`);
-    },
-    selfHandleResponse: false,
-    router: async () => ({ target: await lookup(targetName) }),
-    onProxyRes: () => reportSuccess(targetName),
-    onError: (_err, _req, res) => {
-      reportFailure(targetName);
-      res.status(502).json({ error: `Upstream ${targetName} indisponível` });
+    router: (req) => req.upstream,
+    pathRewrite: (_path, req) => req.proxyPath,
+    proxyTimeout: route.timeout,
+    on: {
+      proxyReq: (proxyReq, req) => {
+        // repassa Authorization
+        const token = extractBearer(req);
+        if (token) proxyReq.setHeader('Authorization', `Bearer ${token}`);
+        // o corpo já foi lido pelo express.json()
+        fixRequestBody(proxyReq, req);
+      },
+      proxyRes: (proxyRes, req) => {
+        const status = proxyRes.statusCode;
+        reportPassive(targetName, req.upstream, !UNAVAILABLE_STATUSES.includes(status), `HTTP ${status}`);
+      },
+      error: (err, req, res) => {
+        reportPassive(targetName, req.upstream, false, err.message);
+        if (req.retryProxy && req.retryProxy(err)) return;
+        if (!res.headersSent) res.status(502).json({ error: `Upstream ${targetName} indisponível` });
+        else res.end();
+      }
     }
   });
 }
 
-/* ------------------------------ Gate middlewares ---------------------------- */
-async function guard(targetName, req, res, next) {
-  if (!canPass(targetName)) {
-    return res.status(503).json({ error: `Circuito aberto para ${targetName}` });
+// Rotas de uma tabela recarregada ganham proxies novos; os antigos saem com ela
+const proxies = new WeakMap();
+function proxyFor(route) {
+  if (!proxies.has(route)) proxies.set(route, makeProxy(route));
+  return proxies.get(route);
+}
+
+// Escolhe a instância e a mantém como "em andamento" até a resposta terminar;
+// a resposta conta no tráfego da versão (5xx ou conexão cortada = erro) e no
+// breaker da instância (conexão cortada pelo cliente não conta).
+// Se a instância falhar antes de responder, tenta de novo após o backoff,
+// de preferência em outra instância (ver canRetry)
+async function forward(route, req, res, next, attempt = 0, tried = new Set()) {
+  const targetName = route.service;
+  const pinned = req.get('X-Service-Version');
+  if (attempt === 0) retryBudgetFor(targetName).recordRequest();
+  const instance = await pickInstance(targetName, { pinned, route, tried });
+  const permit = instance && instance.url && breakerFor(targetName, instance.url, route).tryAcquire();
+  if (!permit) {
+    if (instance && (instance.blocked || instance.url)) {
+      return res.status(503).json({ error: `Circuito aberto para ${targetName}` });
+    }
+    const version = pinned ? ` na versão ${pinned}` : '';
+    return res.status(503).json({ error: `Nenhuma instância de ${targetName}${version}` });
   }
-  next();
+  req.upstream = instance.url;
+  res.setHeader('X-Upstream-Version', instance.version);
+  const release = serviceRegistry.acquire(targetName, instance.url);
+  const started = Date.now();
+  let done = false;
+  const finish = (ok, completed) => {
+    if (done) return;
+    done = true;
+    release();
+    versions.record(targetName, instance.version, ok);
+    permit(completed ? { error: !ok, durationMs: Date.now() - started } : undefined);
+  };
+  const onFinish = () => finish(res.statusCode < 500, true);
+  const onClose = () => finish(false, false);
+  res.once('finish', onFinish);
+  res.once('close', onClose);
+
+  // chamado pelo handler de erro do proxy; true se vai retentar
+  req.retryProxy = () => {
+    if (!canRetry(route, req, res, attempt)) return false;
+    res.off('finish', onFinish);
+    res.off('close', onClose);
+    finish(false, true);
+    tried.add(instance.url);
+    res.setHeader('X-Retry-Count', String(attempt + 1));
+    setTimeout(() => {
+      if (res.destroyed) return; // cliente desistiu durante a espera
+      forward(route, req, res, next, attempt + 1, tried).catch(next);
+    }, backoffDelay(attempt, route.retry));
+    return true;
+  };
+  proxyFor(route)(req, res, next);
 }
 
 /* ------------------------------- Route wiring ------------------------------- */
-// /api/auth/*  & /api/users/*  -> user-service
-app.use(['/api/auth', '/api/users'], async (req, res, next) => guard('user-service', req, res, next), async (req, res, next) => {
-  const proxy = await makeProxy('user-service');
-  proxy(req, res, next);
-});
-
-// /api/items/* -> item-service
-app.use('/api/items', async (req, res, next) => guard('item-service', req, res, next), async (req, res, next) => {
-  const proxy = await makeProxy('item-service');
-  proxy(req, res, next);
+// Rotas da tabela (routes.json); caminhos fora dela seguem para as rotas do gateway
+app.use(async (req, res, next) => {
+  const matched = routeTable.match(req.method, req.path);
+  if (!matched) return next();
+  if (!matched.route) {
+    res.set('Allow', matched.allowed.join(', '));
+    return res.status(405).json({ error: `Método ${req.method} não permitido em ${req.path}` });
+  }
+  const { route } = matched;
+  if (route.auth && !(await authenticate(req, res))) return;
+  req.proxyPath = routeTable.rewrite(route, req.originalUrl);
+  forward(route, req, res, next).catch(next);
 });
 
-// /api/lists/* -> list-service
-app.use('/api/lists', async (req, res, next) => guard('list-service', req, res, next), async (req, res, next) => {
-  const proxy = await makeProxy('list-service');
-  proxy(req, res, next);
+// GET /routes  -> tabela de rotas em uso
+app.get('/routes', (_req, res) => {
+  res.json({ file: routeTable.file, loadedAt: routeTable.loadedAt, services: routeTable.services, routes: routeTable.routes });
 });
 
 /* ------------------------------- Aggregations ------------------------------- */
 // GET /api/dashboard  -> estatísticas do usuário (precisa JWT)
 app.get('/api/dashboard', async (req, res) => {
+  const payload = await authenticate(req, res);
+  if (!payload) return;
   const token = extractBearer(req);
-  if (!token) return res.status(401).json({ error: 'Token ausente' });
-
-  let payload;
-  try { payload = jwt.verify(token, JWT_SECRET); } catch { return res.status(401).json({ error: 'Token inválido' }); }
 
   try {
-    const listBase = await lookup('list-service');
-    const itemBase = await lookup('item-service');
-
-    // listas do usuário
-    const { data: lists } = await axios.get(`${listBase}/lists`, { headers: { Authorization: `Bearer ${token}` } });
-
-    // sumariza
-    let totalLists = lists.length;
-    let totalItems = 0;
-    let purchased = 0;
-    let estimatedTotal = 0;
-
-    lists.forEach(l => {
-      totalItems += l.items?.length || 0;
-      purchased += (l.items || []).filter(i => i.purchased).length;
-      estimatedTotal += l.summary?.estimatedTotal || 0;
-    });
+    // totais das listas do usuário (agregados pelo list-service)
+    const { data: stats } = await callService('list-service', base =>
+      axios.get(`${base}/lists/stats`, { headers: { Authorization: `Bearer ${token}` } }));
 
     // contagem de itens disponíveis no catálogo (opcional para painel)
     let catalogCount = 0;
     try {
-      const { data: items } = await axios.get(`${itemBase}/items`);
-      catalogCount = Array.isArray(items) ? items.length : 0;
+      const { data: catalog } = await callService('item-service', base => axios.get(`${base}/items/stats`));
+      catalogCount = catalog.total || 0;
     } catch (_) {}
 
     res.json({
       userId: payload.id,
-      totalLists,
-      totalItems,
-      purchasedItems: purchased,
-      estimatedTotal,
+      totalLists: stats.totalLists,
+      totalItems: stats.totalItems,
+      purchasedItems: stats.purchasedItems,
+      estimatedTotal: stats.estimatedTotal,
+      listsByStatus: stats.byStatus,
       catalogCount
     });
   } catch (e) {
@@ -166,32 +339,36 @@ app.get('/api/dashboard', async (req, res) => {
   }
 });
 
-// GET /api/search?q=termo  -> busca global (listas por nome + itens por nome)
+// GET /api/search?q=termo  -> busca global ranqueada (itens do catálogo + listas do usuário).
+// Os itens já vêm pontuados pelo item-service; as listas são pontuadas aqui com
+// o mesmo motor de busca. Cada resultado traz _score
 app.get('/api/search', async (req, res) => {
   const q = String(req.query.q || '').trim();
   if (!q) return res.json({ items: [], lists: [] });
 
   const token = extractBearer(req);
-  const listBase = await lookup('list-service');
-  const itemBase = await lookup('item-service');
 
   const [itemsRes, listsRes] = await Promise.allSettled([
-    axios.get(`${itemBase}/search`, { params: { q } }),
+    callService('item-service', base => axios.get(`${base}/search`, { params: { q } })),
     token
-      ? axios.get(`${listBase}/lists`, { headers: { Authorization: `Bearer ${token}` } })
-      : Promise.resolve({ status: 'fulfilled', value: { data: [] } })
+      ? callService('list-service', base => axios.get(`${base}/lists`, { headers: { Authorization: `Bearer ${token}` } }))
+      : Promise.resolve({ data: [] })
   ]);
 
   const items = itemsRes.status === 'fulfilled' ? itemsRes.value.data : [];
-  let lists = listsRes.status === 'fulfilled' ? listsRes.value.data : [];
-  lists = lists.filter(l => (l.name || '').toLowerCase().includes(q.toLowerCase()));
+  const userLists = listsRes.status === 'fulfilled' ? listsRes.value.data : [];
+
+  const index = new SearchIndex({ fields: { name: 3, description: 1, 'items.itemName': 1 } });
+  index.rebuild(userLists);
+  const byId = new Map(userLists.map(l => [l.id, l]));
+  const lists = index.search(q).map(({ id, score }) => ({ ...byId.get(id), _score: score }));
 
   res.json({ items, lists });
 });
 
 // GET /health  -> consolidado dos serviços
 app.get('/health', async (_req, res) => {
-  const names = ['user-service', 'list-service', 'item-service'];
+  const names = routeTable.serviceNames();
   const checks = await Promise.all(names.map(async n => {
     const base = await lookup(n);
     try {
@@ -204,7 +381,8 @@ app.get('/health', async (_req, res) => {
   res.json({ gateway: 'ok', services: checks });
 });
 
-// GET /registry  -> conteúdo do service registry
+// GET /registry  -> conteúdo do service registry, com a estratégia de
+// balanceamento de cada serviço e quantas vezes cada instância foi escolhida
 app.get('/registry', async (_req, res) => {
   try {
     const data = await serviceRegistry.dump?.();
@@ -214,21 +392,45 @@ app.get('/registry', async (_req, res) => {
   }
 });
 
-/* ------------------------------ Background HC ------------------------------- */
-async function periodicHealth() {
-  // apenas força lookups e fecha circuitos quando voltar
-  const names = ['user-service', 'list-service', 'item-service'];
-  for (const n of names) {
-    const base = await lookup(n);
-    try {
-      await axios.get(`${base}/health`, { timeout: 3000 });
-      reportSuccess(n);
-    } catch {
-      reportFailure(n);
-    }
-  }
+// GET /versions  -> canário e requisições/erros por versão de cada serviço
+app.get('/versions', (_req, res) => {
+  res.json(versions.stats());
+});
+
+// PUT /versions/:service/canary  { version, percent }  -> ajusta o canário
+// (percent 0 tira o tráfego sem apagar; DELETE remove). Exige X-Admin-Token
+function adminOnly(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(403).json({ error: 'Rotas administrativas desabilitadas (defina ADMIN_TOKEN)' });
+  if (req.headers['x-admin-token'] !== token) return res.status(401).json({ error: 'X-Admin-Token inválido' });
+  next();
 }
-setInterval(periodicHealth, 30_000);
+
+app.put('/versions/:service/canary', adminOnly, (req, res) => {
+  try {
+    const canary = versions.setCanary(req.params.service, req.body || {});
+    res.json({ service: req.params.service, canary });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/versions/:service/canary', adminOnly, (req, res) => {
+  versions.setCanary(req.params.service, null);
+  res.json({ service: req.params.service, canary: null });
+});
+
+// GET /breakers  -> estado dos circuit breakers por serviço, instância e rota
+app.get('/breakers', (_req, res) => {
+  res.json(breakers.snapshot());
+});
+
+// GET /retries  -> orçamento de retentativas de cada serviço
+app.get('/retries', (_req, res) => {
+  const budgets = {};
+  for (const [name, budget] of retryBudgets) budgets[name] = budget.snapshot();
+  res.json(budgets);
+});
 
 /* --------------------------------- Start ------------------------------------ */
 app.listen(PORT, () => {
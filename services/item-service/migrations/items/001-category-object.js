@@ -0,0 +1,19 @@
+// Categoria do item passa de texto ('Alimentos') para { name, slug },
+// o mesmo formato usado pelos produtos
+const { slugify } = require('../../../../shared/text');
+
+module.exports = {
+  up(item) {
+    if (typeof item.category === 'string') {
+      item.category = { name: item.category, slug: slugify(item.category) };
+    }
+    return item;
+  },
+
+  down(item) {
+    if (item.category && typeof item.category === 'object') {
+      item.category = item.category.name;
+    }
+    return item;
+  }
+};
@@ -7,68 +7,168 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { storageFromEnv } = require('../../shared/storage');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { tagsFromEnv } = require('../../shared/versionRouting');
+const { createSessionCheck } = require('../../shared/sessionCheck');
+const { escapeRegex } = require('../../shared/queryEngine');
+const { migrate } = require('../../shared/migrations');
+const { mountBackupRoutes } = require('../../shared/backup');
+const { slugify } = require('../../shared/text');
+const { DatabaseError, ValidationError, VersionConflictError } = require('../../shared/dbErrors');
+const { etagFor, parseIfMatch } = require('../../shared/etag');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 const SERVICE_NAME = 'item-service';
 const SERVICE_URL = `http://localhost:${PORT}`;
+// peso no balanceamento 'weighted' do gateway (0 = não recebe tráfego)
+const SERVICE_WEIGHT = process.env.SERVICE_WEIGHT !== undefined ? Number(process.env.SERVICE_WEIGHT) : 1;
+// versão e tags anunciadas no registry (roteamento por versão/canário do gateway)
+const SERVICE_VERSION = process.env.SERVICE_VERSION || require('./package.json').version;
+const SERVICE_TAGS = tagsFromEnv();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
 const JWT_EXPIRES = process.env.JWT_EXPIRES || '2h';
+const isSessionActive = createSessionCheck();
 
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
 
-function auth(req, res, next) {
+// assinatura do JWT aqui e sessão no user-service (logout vale também aqui)
+async function auth(req, res, next) {
   const h = req.headers.authorization || '';
   const token = h.startsWith('Bearer ') ? h.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Token ausente' });
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
     return res.status(401).json({ error: 'Token inválido' });
   }
+  try {
+    if (!(await isSessionActive(token, payload))) return res.status(401).json({ error: 'Sessão encerrada' });
+  } catch (e) {
+    console.error('[auth] falha ao consultar a sessão:', e.message);
+    return res.status(503).json({ error: 'Serviço de autenticação indisponível' });
+  }
+  req.user = payload;
+  next();
 }
 
 const dbPath = path.join(__dirname, 'database'); // ./services/item-services/database
-const itemsDb = new JsonDatabase(dbPath, 'items');
-
-function matches(term, value) {
-  return String(value || '').toLowerCase().includes(String(term || '').toLowerCase());
-}
 
 /**
  * Esquema do Item:
  * {
- *   id, name, category, brand, unit, averagePrice, barcode, description, active, createdAt
+ *   id, name, category: { name, slug }, brand, unit, averagePrice, barcode,
+ *   description, active, createdAt
  * }
+ * (itens antigos com category em texto são convertidos por migrations/items)
  */
+const ITEM_SCHEMA = {
+  type: 'object',
+  required: ['name', 'category'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    category: {
+      type: 'object',
+      required: ['name', 'slug'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        slug: { type: 'string', minLength: 1 }
+      }
+    },
+    brand: { type: 'string' },
+    unit: { enum: ['kg', 'un', 'litro'] },
+    averagePrice: { type: 'number', minimum: 0 },
+    barcode: { type: 'string' },
+    description: { type: 'string' },
+    active: { type: 'boolean' }
+  }
+};
+
+const itemsDb = new JsonDatabase(dbPath, 'items', {
+  indexes: ['category.slug'],
+  // busca textual: nome pesa mais que marca, que pesa mais que o restante
+  textIndex: { name: 3, brand: 2, 'category.name': 1, description: 1, barcode: 1 },
+  schema: ITEM_SCHEMA,
+  history: true, // revisões em items_history (GET /items/:id/history)
+  storage: storageFromEnv() // DB_STORAGE=json|log|memory
+});
+
+// Aceita a categoria em texto ('Higiene') ou como { name, slug }
+function toCategory(value) {
+  if (typeof value === 'string') return { name: value, slug: slugify(value) };
+  if (value && typeof value === 'object' && typeof value.name === 'string') {
+    return { name: value.name, slug: value.slug || slugify(value.name) };
+  }
+  return value;
+}
+
+// erros de schema viram 400 com a lista de campos inválidos
+function validationFailed(res, e) {
+  return res.status(400).json({ error: 'Dados inválidos', details: e.errors });
+}
+
+// If-Match não confere com a versão atual: o cliente precisa reler o item
+function versionConflict(res, e) {
+  res.set('ETag', `"${e.currentVersion}"`);
+  return res.status(412).json({ error: 'Item alterado por outra requisição', currentVersion: e.currentVersion });
+}
 
 // GET /items?category=...&name=...&active=true|false
 app.get('/items', async (req, res) => {
   const { category, name, active } = req.query;
-  const all = await itemsDb.find();
-
-  let data = all;
-  if (category) data = data.filter(i => (i.category || '').toLowerCase() === String(category).toLowerCase());
-  if (name)     data = data.filter(i => matches(name, i.name));
+  const filter = {};
+  // categoria via índice (sem distinção de maiúsculas)
+  if (category) filter['category.slug'] = slugify(category);
+  if (name) filter.name = { $regex: escapeRegex(name) };
   if (active !== undefined) {
     const want = String(active).toLowerCase() === 'true';
-    data = data.filter(i => Boolean(i.active) === want);
+    // documentos antigos sem o campo contam como inativos
+    filter.active = want ? true : { $ne: true };
   }
 
+  const data = await itemsDb.find(filter);
   res.json(data);
 });
 
+// GET /items/stats -> totais do catálogo e resumo por categoria (agregado no banco)
+app.get('/items/stats', async (_req, res) => {
+  try {
+    const categories = await itemsDb.aggregate([
+      { $match: { active: true } },
+      {
+        $group: {
+          _id: '$category.slug',
+          name: { $first: '$category.name' },
+          itemCount: { $count: {} },
+          averagePrice: { $avg: '$averagePrice' },
+          minPrice: { $min: '$averagePrice' },
+          maxPrice: { $max: '$averagePrice' }
+        }
+      },
+      { $project: { _id: 0, slug: '$_id', name: 1, itemCount: 1, averagePrice: 1, minPrice: 1, maxPrice: 1 } },
+      { $sort: { name: 1 } }
+    ]);
+    res.json({
+      total: await itemsDb.count(),
+      active: categories.reduce((acc, c) => acc + c.itemCount, 0),
+      categories
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Falha ao calcular estatísticas', details: String(e) });
+  }
+});
+
 // GET /items/:id
 app.get('/items/:id', async (req, res) => {
   const item = await itemsDb.findById(req.params.id);
   if (!item) return res.status(404).json({ error: 'Item não encontrado' });
-  res.json(item);
+  res.set('ETag', etagFor(item)).json(item);
 });
 
 // POST /items  (requer auth)
@@ -80,31 +180,28 @@ app.post('/items', auth, async (req, res) => {
       active = true
     } = req.body || {};
 
-    if (!name || !category) {
-      return res.status(400).json({ error: 'name e category são obrigatórios' });
-    }
-
     const now = new Date().toISOString();
     const doc = await itemsDb.create({
       id: uuidv4(),
       name,
-      category,
+      category: toCategory(category),
       brand,
       unit,               // "kg" | "un" | "litro"
-      averagePrice: Number(averagePrice) || 0,
+      averagePrice: Number(averagePrice),
       barcode,
       description,
       active: Boolean(active),
       createdAt: now
-    });
+    }, { actor: req.user.id });
 
     res.status(201).json(doc);
   } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
     res.status(500).json({ error: 'Falha ao criar item', details: String(e) });
   }
 });
 
-// PUT /items/:id  (requer auth)
+// PUT /items/:id  (requer auth; If-Match opcional)
 app.put('/items/:id', auth, async (req, res) => {
   const current = await itemsDb.findById(req.params.id);
   if (!current) return res.status(404).json({ error: 'Item não encontrado' });
@@ -113,46 +210,80 @@ app.put('/items/:id', auth, async (req, res) => {
     name, category, brand, unit, averagePrice, barcode, description, active
   } = req.body || {};
 
-  const updated = await itemsDb.update(req.params.id, {
-    ...current,
-    name: name ?? current.name,
-    category: category ?? current.category,
-    brand: brand ?? current.brand,
-    unit: unit ?? current.unit,
-    averagePrice: averagePrice !== undefined ? Number(averagePrice) : current.averagePrice,
-    barcode: barcode ?? current.barcode,
-    description: description ?? current.description,
-    active: active !== undefined ? Boolean(active) : current.active
-  });
+  try {
+    const updated = await itemsDb.update(req.params.id, {
+      name: name ?? current.name,
+      category: category !== undefined ? toCategory(category) : current.category,
+      brand: brand ?? current.brand,
+      unit: unit ?? current.unit,
+      averagePrice: averagePrice !== undefined ? Number(averagePrice) : current.averagePrice,
+      barcode: barcode ?? current.barcode,
+      description: description ?? current.description,
+      active: active !== undefined ? Boolean(active) : current.active
+    }, { expectedVersion: parseIfMatch(req.headers['if-match']), actor: req.user.id });
+    res.set('ETag', etagFor(updated)).json(updated);
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    if (e instanceof VersionConflictError) return versionConflict(res, e);
+    res.status(500).json({ error: 'Falha ao atualizar item', details: String(e) });
+  }
+});
 
-  res.json(updated);
+// GET /items/:id/history  (requer auth) - revisões do item
+app.get('/items/:id/history', auth, async (req, res) => {
+  try {
+    const item = await itemsDb.findById(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Item não encontrado' });
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json(await itemsDb.history(item.id, { limit }));
+  } catch (e) {
+    res.status(500).json({ error: 'Falha ao buscar histórico', details: String(e) });
+  }
+});
+
+// POST /items/:id/revert  (requer auth; If-Match opcional) - volta o item para { revision }
+app.post('/items/:id/revert', auth, async (req, res) => {
+  const { revision } = req.body || {};
+  if (revision === undefined) return res.status(400).json({ error: 'revision é obrigatório' });
+  try {
+    const reverted = await itemsDb.revert(req.params.id, revision, {
+      expectedVersion: parseIfMatch(req.headers['if-match']),
+      actor: req.user.id
+    });
+    if (!reverted) return res.status(204).end();
+    res.set('ETag', etagFor(reverted)).json(reverted);
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    if (e instanceof VersionConflictError) return versionConflict(res, e);
+    if (e instanceof DatabaseError && e.code === 'REVISION_NOT_FOUND') return res.status(404).json({ error: e.message });
+    res.status(500).json({ error: 'Falha ao reverter item', details: String(e) });
+  }
 });
 
 // GET /categories
 app.get('/categories', async (_req, res) => {
   const all = await itemsDb.find();
-  const cats = [...new Set(all.map(i => i.category).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const cats = [...new Set(all.map(i => i.category && i.category.name).filter(Boolean))].sort((a, b) => a.localeCompare(b));
   res.json(cats);
 });
 
-// GET /search?q=termo
+// GET /search?q=termo&limit=20 -> itens por relevância (cada um com _score)
 app.get('/search', async (req, res) => {
   const q = String(req.query.q || '').trim();
   if (!q) return res.json([]);
-  const all = await itemsDb.find();
-  const data = all.filter(i =>
-    matches(q, i.name) || matches(q, i.brand) || matches(q, i.description) || matches(q, i.barcode)
-  );
-  res.json(data);
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  res.json(await itemsDb.search(q, { limit }));
 });
 
 // health
 app.get('/health', (_req, res) => res.json({ status: 'ok', service: SERVICE_NAME }));
 
+// backup/restauração (X-Admin-Token; ver shared/backup.js)
+mountBackupRoutes(app, { service: SERVICE_NAME, databases: [itemsDb] });
+
 // ----- seed inicial: ~20 itens em categorias diversas -----
 async function seedItems() {
-  const all = await itemsDb.find();
-  if (all.length > 0) return;
+  if (await itemsDb.count() > 0) return;
 
   const now = new Date().toISOString();
   const base = [
@@ -182,25 +313,27 @@ async function seedItems() {
     ['Queijo Minas', 'Padaria', 'Fazenda', 'kg', 42.0, '', 'Queijo minas padrão']
   ];
 
-  for (const [name, category, brand, unit, averagePrice, barcode, description] of base) {
-    await itemsDb.create({
-      id: uuidv4(),
-      name, category, brand, unit,
-      averagePrice,
-      barcode,
-      description,
-      active: true,
-      createdAt: now
-    });
-  }
+  // um único insertMany grava o arquivo uma vez só
+  await itemsDb.insertMany(base.map(([name, category, brand, unit, averagePrice, barcode, description]) => ({
+    id: uuidv4(),
+    name,
+    category: toCategory(category),
+    brand,
+    unit,
+    averagePrice,
+    barcode,
+    description,
+    active: true,
+    createdAt: now
+  })), { actor: 'seed' });
   console.log('[seed] items criados:', base.length);
 }
 
 // ----- service registry -----
 async function register() {
   try {
-    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL);
-    console.log(`[registry] ${SERVICE_NAME} registrado em ${SERVICE_URL}`);
+    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL, { weight: SERVICE_WEIGHT, version: SERVICE_VERSION, tags: SERVICE_TAGS });
+    console.log(`[registry] ${SERVICE_NAME} ${SERVICE_VERSION} registrado em ${SERVICE_URL}`);
   } catch (e) {
     console.error('[registry] falha ao registrar:', e);
   }
@@ -217,8 +350,16 @@ process.on('SIGINT', async () => { await deregister(); process.exit(0); });
 process.on('SIGTERM', async () => { await deregister(); process.exit(0); });
 
 // ----- start -----
-app.listen(PORT, async () => {
-  await seedItems();
-  await register();
-  console.log(`Item Service ouvindo em http://localhost:${PORT}`);
-});
+// migrações rodam antes de aceitar requisições (e antes do seed)
+migrate(itemsDb, path.join(__dirname, 'migrations', 'items'))
+  .then(() => {
+    app.listen(PORT, async () => {
+      await seedItems();
+      await register();
+      console.log(`Item Service ouvindo em http://localhost:${PORT}`);
+    });
+  })
+  .catch((e) => {
+    console.error('[migrations] falha ao migrar items:', e.message);
+    process.exit(1);
+  });
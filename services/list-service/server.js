@@ -8,15 +8,28 @@ const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { storageFromEnv } = require('../../shared/storage');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { tagsFromEnv } = require('../../shared/versionRouting');
+const { createSessionCheck } = require('../../shared/sessionCheck');
+const { migrate } = require('../../shared/migrations');
+const { mountBackupRoutes } = require('../../shared/backup');
+const { DatabaseError, ValidationError, VersionConflictError } = require('../../shared/dbErrors');
+const { etagFor, parseIfMatch } = require('../../shared/etag');
 
 // -------------------- config --------------------
 const app = express();
 const PORT = process.env.PORT || 3002;
 const SERVICE_NAME = 'list-service';
 const SERVICE_URL = `http://localhost:${PORT}`;
+// peso no balanceamento 'weighted' do gateway (0 = não recebe tráfego)
+const SERVICE_WEIGHT = process.env.SERVICE_WEIGHT !== undefined ? Number(process.env.SERVICE_WEIGHT) : 1;
+// versão e tags anunciadas no registry (roteamento por versão/canário do gateway)
+const SERVICE_VERSION = process.env.SERVICE_VERSION || require('./package.json').version;
+const SERVICE_TAGS = tagsFromEnv();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+const isSessionActive = createSessionCheck();
 
 app.use(helmet());
 app.use(cors());
@@ -24,21 +37,69 @@ app.use(express.json());
 app.use(morgan('dev'));
 
 // -------------------- auth middleware --------------------
-function auth(req, res, next) {
+// assinatura do JWT aqui e sessão no user-service (logout vale também aqui)
+async function auth(req, res, next) {
   const h = req.headers.authorization || '';
   const token = h.startsWith('Bearer ') ? h.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Token ausente' });
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET); // { id, email, role }
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
     return res.status(401).json({ error: 'Token inválido' });
   }
+  try {
+    if (!(await isSessionActive(token, payload))) return res.status(401).json({ error: 'Sessão encerrada' });
+  } catch (e) {
+    console.error('[auth] falha ao consultar a sessão:', e.message);
+    return res.status(503).json({ error: 'Serviço de autenticação indisponível' });
+  }
+  req.user = payload; // { id, email, role }
+  next();
 }
 
 // -------------------- DB --------------------
 const dbPath = path.join(__dirname, 'database');
-const listsDb = new JsonDatabase(dbPath, 'lists');
+const LIST_SCHEMA = {
+  type: 'object',
+  required: ['userId', 'name', 'status', 'items'],
+  properties: {
+    userId: { type: 'string' },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    status: { enum: ['active', 'completed', 'archived'] },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['itemId', 'quantity'],
+        properties: {
+          itemId: { type: 'string' },
+          itemName: { type: 'string' },
+          quantity: { type: 'number', exclusiveMinimum: 0 },
+          unit: { enum: ['kg', 'un', 'litro'] },
+          estimatedPrice: { type: 'number', minimum: 0 },
+          purchased: { type: 'boolean' },
+          addedAt: { type: 'string' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      properties: {
+        totals: { type: 'integer', minimum: 0 },
+        purchasedItems: { type: 'integer', minimum: 0 },
+        estimatedTotal: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+const listsDb = new JsonDatabase(dbPath, 'lists', {
+  indexes: ['userId'],
+  schema: LIST_SCHEMA,
+  history: true, // revisões em lists_history (GET /lists/:id/history)
+  storage: storageFromEnv() // DB_STORAGE=json|log|memory
+});
 
 // -------------------- helpers --------------------
 async function getItemServiceBaseUrl() {
@@ -50,6 +111,17 @@ async function getItemServiceBaseUrl() {
   return 'http://localhost:3003';
 }
 
+// erros de schema viram 400 com a lista de campos inválidos
+function validationFailed(res, e) {
+  return res.status(400).json({ error: 'Dados inválidos', details: e.errors });
+}
+
+// If-Match não confere com a versão atual: o cliente precisa reler a lista
+function versionConflict(res, e) {
+  res.set('ETag', `"${e.currentVersion}"`);
+  return res.status(412).json({ error: 'Lista alterada por outra requisição', currentVersion: e.currentVersion });
+}
+
 function canAccess(list, userId) {
   return list && list.userId === userId;
 }
@@ -73,7 +145,6 @@ function recomputeSummary(list) {
 app.post('/lists', auth, async (req, res) => {
   try {
     const { name, description = '' } = req.body || {};
-    if (!name) return res.status(400).json({ error: 'name é obrigatório' });
 
     const now = new Date().toISOString();
     const doc = await listsDb.create({
@@ -86,51 +157,120 @@ app.post('/lists', auth, async (req, res) => {
       summary: { totals: 0, purchasedItems: 0, estimatedTotal: 0 },
       createdAt: now,
       updatedAt: now
-    });
+    }, { actor: req.user.id });
 
     res.status(201).json(doc);
   } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
     res.status(500).json({ error: 'Falha ao criar lista', details: String(e) });
   }
 });
 
+// GET /lists/stats - totais das listas do usuário (agregado no banco, usado pelo dashboard)
+app.get('/lists/stats', auth, async (req, res) => {
+  try {
+    const [totals] = await listsDb.aggregate([
+      { $match: { userId: req.user.id } },
+      {
+        $group: {
+          _id: null,
+          totalLists: { $count: {} },
+          totalItems: { $sum: '$summary.totals' },
+          purchasedItems: { $sum: '$summary.purchasedItems' },
+          estimatedTotal: { $sum: '$summary.estimatedTotal' }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+    const byStatus = await listsDb.aggregate([
+      { $match: { userId: req.user.id } },
+      { $group: { _id: '$status', count: { $count: {} } } },
+      { $project: { _id: 0, status: '$_id', count: 1 } },
+      { $sort: { status: 1 } }
+    ]);
+    res.json({
+      ...(totals || { totalLists: 0, totalItems: 0, purchasedItems: 0, estimatedTotal: 0 }),
+      byStatus
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Falha ao calcular estatísticas', details: String(e) });
+  }
+});
+
 // GET /lists - listar listas do usuário
 app.get('/lists', auth, async (req, res) => {
-  const all = await listsDb.find();
-  res.json(all.filter(l => l.userId === req.user.id));
+  res.json(await listsDb.find({ userId: req.user.id }));
 });
 
 // GET /lists/:id - buscar lista específica
 app.get('/lists/:id', auth, async (req, res) => {
   const list = await listsDb.findById(req.params.id);
   if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
-  res.json(list);
+  res.set('ETag', etagFor(list)).json(list);
 });
 
-// PUT /lists/:id - atualizar nome, descrição, status
+// PUT /lists/:id - atualizar nome, descrição, status (If-Match opcional)
 app.put('/lists/:id', auth, async (req, res) => {
   const current = await listsDb.findById(req.params.id);
   if (!canAccess(current, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
 
   const { name, description, status } = req.body || {};
-  const updated = await listsDb.update(req.params.id, {
-    ...current,
-    name: name ?? current.name,
-    description: description ?? current.description,
-    status: status ?? current.status,
-    updatedAt: new Date().toISOString()
-  });
-  res.json(updated);
+  try {
+    // só os campos enviados: não sobrescreve itens adicionados em paralelo
+    const updated = await listsDb.update(req.params.id, {
+      name: name ?? current.name,
+      description: description ?? current.description,
+      status: status ?? current.status
+    }, { expectedVersion: parseIfMatch(req.headers['if-match']), actor: req.user.id });
+    res.set('ETag', etagFor(updated)).json(updated);
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    if (e instanceof VersionConflictError) return versionConflict(res, e);
+    res.status(500).json({ error: 'Falha ao atualizar lista', details: String(e) });
+  }
 });
 
 // DELETE /lists/:id - deletar lista
 app.delete('/lists/:id', auth, async (req, res) => {
   const current = await listsDb.findById(req.params.id);
   if (!canAccess(current, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
-  await listsDb.delete(req.params.id);
+  await listsDb.delete(req.params.id, { actor: req.user.id });
   res.status(204).end();
 });
 
+// GET /lists/:id/history - revisões da lista (quem alterou, quando e o quê)
+app.get('/lists/:id/history', auth, async (req, res) => {
+  try {
+    const list = await listsDb.findById(req.params.id);
+    if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json(await listsDb.history(list.id, { limit }));
+  } catch (e) {
+    res.status(500).json({ error: 'Falha ao buscar histórico', details: String(e) });
+  }
+});
+
+// POST /lists/:id/revert - volta a lista para { revision } (If-Match opcional)
+app.post('/lists/:id/revert', auth, async (req, res) => {
+  const list = await listsDb.findById(req.params.id);
+  if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
+  const { revision } = req.body || {};
+  if (revision === undefined) return res.status(400).json({ error: 'revision é obrigatório' });
+  try {
+    const reverted = await listsDb.revert(list.id, revision, {
+      expectedVersion: parseIfMatch(req.headers['if-match']),
+      actor: req.user.id
+    });
+    if (!reverted) return res.status(204).end();
+    res.set('ETag', etagFor(reverted)).json(reverted);
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    if (e instanceof VersionConflictError) return versionConflict(res, e);
+    if (e instanceof DatabaseError && e.code === 'REVISION_NOT_FOUND') return res.status(404).json({ error: e.message });
+    res.status(500).json({ error: 'Falha ao reverter lista', details: String(e) });
+  }
+});
+
 // POST /lists/:id/items - adicionar item à lista (busca dados no Item Service)
 app.post('/lists/:id/items', auth, async (req, res) => {
   const list = await listsDb.findById(req.params.id);
@@ -140,34 +280,57 @@ app.post('/lists/:id/items', auth, async (req, res) => {
   if (!itemId) return res.status(400).json({ error: 'itemId é obrigatório' });
 
   // evitar duplicatas → se já existir, só soma quantidade
-  const existingIdx = list.items.findIndex(i => i.itemId === itemId);
-  if (existingIdx >= 0) {
-    list.items[existingIdx].quantity = (Number(list.items[existingIdx].quantity) || 0) + Number(quantity || 0);
-    recomputeSummary(list);
-    await listsDb.update(list.id, list);
-    return res.json(list);
+  // (a alteração roda dentro da fila de escrita do banco p/ não perder requisições concorrentes)
+  const addQuantity = (current) => {
+    const existing = current.items.find(i => i.itemId === itemId);
+    if (!existing) return null;
+    existing.quantity = (Number(existing.quantity) || 0) + Number(quantity || 0);
+    recomputeSummary(current);
+    return current;
+  };
+  if (list.items.some(i => i.itemId === itemId)) {
+    try {
+      const updated = await listsDb.update(list.id, addQuantity, { actor: req.user.id });
+      return res.json(updated);
+    } catch (e) {
+      if (e instanceof ValidationError) return validationFailed(res, e);
+      return res.status(500).json({ error: 'Falha ao atualizar lista', details: String(e) });
+    }
   }
 
   // buscar dados do catálago de itens
+  let item;
   try {
     const base = await getItemServiceBaseUrl();
-    const { data: item } = await axios.get(`${base}/items/${itemId}`);
-    const now = new Date().toISOString();
-    list.items.push({
-      itemId,
-      itemName: item?.name || '',
-      quantity: Number(quantity) || 1,
-      unit: item?.unit || 'un',
-      estimatedPrice: Number(item?.averagePrice) || 0,
-      purchased: false,
-      addedAt: now
-    });
-    recomputeSummary(list);
-    await listsDb.update(list.id, list);
-    res.status(201).json(list);
+    ({ data: item } = await axios.get(`${base}/items/${itemId}`));
   } catch (e) {
     return res.status(400).json({ error: 'Item inválido ou Item Service indisponível' });
   }
+
+  let created = false;
+  let updated;
+  try {
+    updated = await listsDb.update(list.id, (current) => {
+      // outra requisição pode ter adicionado o mesmo item enquanto buscávamos o catálogo
+      if (addQuantity(current)) return current;
+      created = true;
+      current.items.push({
+        itemId,
+        itemName: item?.name || '',
+        quantity: Number(quantity) || 1,
+        unit: item?.unit || 'un',
+        estimatedPrice: Number(item?.averagePrice) || 0,
+        purchased: false,
+        addedAt: new Date().toISOString()
+      });
+      recomputeSummary(current);
+      return current;
+    }, { actor: req.user.id });
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    return res.status(500).json({ error: 'Falha ao atualizar lista', details: String(e) });
+  }
+  res.status(created ? 201 : 200).json(updated);
 });
 
 // PUT /lists/:id/items/:itemId - atualizar item (quantidade, purchased, override de preço)
@@ -175,17 +338,26 @@ app.put('/lists/:id/items/:itemId', auth, async (req, res) => {
   const list = await listsDb.findById(req.params.id);
   if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
 
-  const idx = list.items.findIndex(i => i.itemId === req.params.itemId);
-  if (idx < 0) return res.status(404).json({ error: 'Item não está na lista' });
-
   const { quantity, purchased, estimatedPrice } = req.body || {};
-  if (quantity !== undefined) list.items[idx].quantity = Number(quantity);
-  if (purchased !== undefined) list.items[idx].purchased = Boolean(purchased);
-  if (estimatedPrice !== undefined) list.items[idx].estimatedPrice = Number(estimatedPrice);
-
-  recomputeSummary(list);
-  await listsDb.update(list.id, list);
-  res.json(list);
+  let found = false;
+  let updated;
+  try {
+    updated = await listsDb.update(list.id, (current) => {
+      const entry = current.items.find(i => i.itemId === req.params.itemId);
+      if (!entry) return null;
+      found = true;
+      if (quantity !== undefined) entry.quantity = Number(quantity);
+      if (purchased !== undefined) entry.purchased = Boolean(purchased);
+      if (estimatedPrice !== undefined) entry.estimatedPrice = Number(estimatedPrice);
+      recomputeSummary(current);
+      return current;
+    }, { actor: req.user.id });
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    return res.status(500).json({ error: 'Falha ao atualizar item', details: String(e) });
+  }
+  if (!found) return res.status(404).json({ error: 'Item não está na lista' });
+  res.json(updated);
 });
 
 // DELETE /lists/:id/items/:itemId - remover item da lista
@@ -193,32 +365,42 @@ app.delete('/lists/:id/items/:itemId', auth, async (req, res) => {
   const list = await listsDb.findById(req.params.id);
   if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
 
-  const before = list.items.length;
-  list.items = list.items.filter(i => i.itemId !== req.params.itemId);
-  if (list.items.length === before) return res.status(404).json({ error: 'Item não está na lista' });
-
-  recomputeSummary(list);
-  await listsDb.update(list.id, list);
+  let found = false;
+  try {
+    await listsDb.update(list.id, (current) => {
+      const before = current.items.length;
+      current.items = current.items.filter(i => i.itemId !== req.params.itemId);
+      if (current.items.length === before) return null;
+      found = true;
+      recomputeSummary(current);
+      return current;
+    }, { actor: req.user.id });
+  } catch (e) {
+    if (e instanceof ValidationError) return validationFailed(res, e);
+    return res.status(500).json({ error: 'Falha ao remover item', details: String(e) });
+  }
+  if (!found) return res.status(404).json({ error: 'Item não está na lista' });
   res.status(204).end();
 });
 
-// GET /lists/:id/summary - retornar somente o resumo
+// GET /lists/:id/summary - retornar somente o resumo (calculado na hora, sem gravar)
 app.get('/lists/:id/summary', auth, async (req, res) => {
   const list = await listsDb.findById(req.params.id);
   if (!canAccess(list, req.user.id)) return res.status(404).json({ error: 'Lista não encontrada' });
-  const summary = recomputeSummary(list);
-  await listsDb.update(list.id, list);
-  res.json(summary);
+  res.json(recomputeSummary(list));
 });
 
 // health
 app.get('/health', (_req, res) => res.json({ status: 'ok', service: SERVICE_NAME }));
 
+// backup/restauração (X-Admin-Token; ver shared/backup.js)
+mountBackupRoutes(app, { service: SERVICE_NAME, databases: [listsDb] });
+
 // -------------------- service registry --------------------
 async function register() {
   try {
-    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL);
-    console.log(`[registry] ${SERVICE_NAME} registrado em ${SERVICE_URL}`);
+    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL, { weight: SERVICE_WEIGHT, version: SERVICE_VERSION, tags: SERVICE_TAGS });
+    console.log(`[registry] ${SERVICE_NAME} ${SERVICE_VERSION} registrado em ${SERVICE_URL}`);
   } catch (e) {
     console.error('[registry] falha ao registrar:', e);
   }
@@ -235,7 +417,15 @@ process.on('SIGINT', async () => { await deregister(); process.exit(0); });
 process.on('SIGTERM', async () => { await deregister(); process.exit(0); });
 
 // -------------------- start --------------------
-app.listen(PORT, async () => {
-  await register();
-  console.log(`List Service ouvindo em http://localhost:${PORT}`);
-});
+// migrações (migrations/lists) rodam antes de aceitar requisições
+migrate(listsDb, path.join(__dirname, 'migrations', 'lists'))
+  .then(() => {
+    app.listen(PORT, async () => {
+      await register();
+      console.log(`List Service ouvindo em http://localhost:${PORT}`);
+    });
+  })
+  .catch((e) => {
+    console.error('[migrations] falha ao migrar lists:', e.message);
+    process.exit(1);
+  });
@@ -0,0 +1,19 @@
+// Produtos criados sem category (ou com category sem slug) ganham o slug
+// derivado do nome, usado pelo filtro ?category= e pelo índice category.slug
+const { slugify } = require('../../../../shared/text');
+
+module.exports = {
+  up(product) {
+    if (!product.category) {
+      product.category = { name: 'Geral', slug: 'geral' };
+    } else if (!product.category.slug && product.category.name) {
+      product.category.slug = slugify(product.category.name);
+    }
+    return product;
+  },
+
+  // o slug preenchido continua válido no formato anterior
+  down(product) {
+    return product;
+  }
+};
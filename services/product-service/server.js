@@ -7,7 +7,46 @@ const path = require('path');
 const axios = require('axios');
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { storageFromEnv } = require('../../shared/storage');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { tagsFromEnv } = require('../../shared/versionRouting');
+const { escapeRegex } = require('../../shared/queryEngine');
+const { DatabaseError, InvalidQueryError, ChangeFeedExpiredError, ValidationError, VersionConflictError } = require('../../shared/dbErrors');
+const { etagFor, parseIfMatch } = require('../../shared/etag');
+const { migrate } = require('../../shared/migrations');
+const { slugify } = require('../../shared/text');
+const { mountBackupRoutes } = require('../../shared/backup');
+// Chaves aceitas em specifications no update (viram dot-paths)
+const SPEC_KEY = /^(?!(?:__proto__|constructor|prototype)$)[\w-]+$/;
+// Schema dos produtos: campos flexíveis (metadata, specifications) continuam livres
+const PRODUCT_SCHEMA = {
+type: 'object',
+required: ['name', 'price'],
+properties: {
+name: { type: 'string', minLength: 1 },
+description: { type: 'string' },
+price: { type: 'number', minimum: 0 },
+stock: { type: 'integer', minimum: 0 },
+category: {
+type: 'object',
+required: ['name'],
+properties: {
+name: { type: 'string', minLength: 1 },
+slug: { type: 'string' }
+}
+},
+images: { type: 'array', items: { type: 'string' } },
+tags: { type: 'array', items: { type: 'string' } },
+specifications: { type: 'object' },
+active: { type: 'boolean' },
+featured: { type: 'boolean' },
+metadata: { type: 'object' }
+}
+};
+// Categoria sempre com slug (usado no filtro ?category= e no índice)
+const withSlug = (category) => (category && category.name && !category.slug
+? { ...category, slug: slugify(category.name) }
+: category);
 class ProductService {
 constructor() {
 this.app = express();
@@ -22,15 +61,24 @@ this.seedInitialData();
 }
 setupDatabase() {
 const dbPath = path.join(__dirname, 'database');
-this.productsDb = new JsonDatabase(dbPath, 'products');
+this.productsDb = new JsonDatabase(dbPath, 'products', {
+indexes: ['category.slug', 'active'],
+textIndex: { name: 3, tags: 2, description: 1, 'category.name': 1 },
+schema: PRODUCT_SCHEMA,
+history: true, // revisões em products_history (GET /products/:id/history)
+storage: storageFromEnv() // DB_STORAGE=json|log|memory
+});
 console.log('Product Service: Banco NoSQL inicializado');
+// Migrações (migrations/products) antes do seed e de aceitar requisições
+this.migrated = migrate(this.productsDb, path.join(__dirname, 'migrations', 'products'));
+this.migrated.catch(() => {});
 }
 async seedInitialData() {
 // Aguardar inicialização e criar produtos exemplo
 setTimeout(async () => {
 try {
-const existingProducts = await this.productsDb.find();
-if (existingProducts.length === 0) {
+await this.migrated;
+if (await this.productsDb.count() === 0) {
 const sampleProducts = [
 {
 id: uuidv4(),
@@ -127,9 +175,7 @@ category: {
     featured: false
     }
     ];
-    for (const product of sampleProducts) {
-    await this.productsDb.create(product);
-    }
+    await this.productsDb.insertMany(sampleProducts, { actor: 'seed' });
     console.log('Produtos de exemplo criados no Product Service');
     }
     } catch (error) {
@@ -186,14 +232,15 @@ version: '1.0.0',
 description: 'Microsserviço para gerenciamento de produtos com NoSQL',
 database: 'JSON-NoSQL',
 endpoints: [
-'GET /products',
+'GET /products (page/limit ou cursor, fields)',
 'GET /products/:id',
 'POST /products',
 'PUT /products/:id',
 'DELETE /products/:id',
 'PUT /products/:id/stock',
 'GET /categories',
-'GET /search'
+'GET /search',
+'GET /changes'
 ]
 });
 });
@@ -208,10 +255,19 @@ this.app.delete('/products/:id', this.authMiddleware.bind(this),
 this.deleteProduct.bind(this));
 this.app.put('/products/:id/stock', this.authMiddleware.bind(this),
 this.updateStock.bind(this));
+// Histórico de revisões (quem alterou, quando e o quê) e reversão
+this.app.get('/products/:id/history', this.authMiddleware.bind(this),
+this.getProductHistory.bind(this));
+this.app.post('/products/:id/revert', this.authMiddleware.bind(this),
+this.revertProduct.bind(this));
 // Category routes (extraídas dos produtos)
 this.app.get('/categories', this.getCategories.bind(this));
 // Search route
 this.app.get('/search', this.searchProducts.bind(this));
+// Change feed (caches e notificações retomam a partir do último seq visto)
+this.app.get('/changes', this.getChanges.bind(this));
+// Backup/restauração (X-Admin-Token; ver shared/backup.js)
+mountBackupRoutes(this.app, { service: this.serviceName, databases: [this.productsDb] });
 }
 setupErrorHandling() {
 this.app.use('*', (req, res) => {
@@ -230,6 +286,14 @@ this.app.use('*', (req, res) => {
         });
         });
         }
+        // Erros de schema do banco viram 400 com os campos inválidos
+        sendValidationError(res, error) {
+        return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: error.errors
+        });
+        }
         // Auth middleware (valida token com User Service)
         async authMiddleware(req, res, next) {
         const authHeader = req.header('Authorization');
@@ -241,7 +305,8 @@ this.app.use('*', (req, res) => {
         }
         try {
         // Descobrir User Service
-        const userService = serviceRegistry.discover('user-service');
+        const userService = await serviceRegistry.discover('user-service');
+        if (!userService) throw new Error('user-service não registrado');
         // Validar token com User Service
         const response = await axios.post(`${userService.url}/auth/validate`, {
         token: authHeader.replace('Bearer ', '')
@@ -256,6 +321,15 @@ this.app.use('*', (req, res) => {
         });
         }
         } catch (error) {
+        // 4xx do user-service (401 para token inválido) é token recusado;
+        // só falha de rede ou 5xx vira 503
+        const status = error.response && error.response.status;
+        if (status >= 400 && status < 500) {
+        return res.status(401).json({
+        success: false,
+        message: 'Token inválido'
+        });
+        }
         console.error('Erro na validação do token:', error.message);
         res.status(503).json({
         success: false,
@@ -274,11 +348,13 @@ minPrice,
 maxPrice,
 search,
 active = true,
-featured
+featured,
+cursor,
+fields
 } = req.query;
 const skip = (page - 1) * parseInt(limit);
 // Filtros NoSQL flexíveis
-const filter = { active: active === 'true' };
+const filter = { active: String(active) === 'true' };
 // Filtrar por categoria
 if (category) {
 filter['category.slug'] = category;
@@ -287,63 +363,53 @@ filter['category.slug'] = category;
 if (featured !== undefined) {
 filter.featured = featured === 'true';
 }
-// Filtrar por preço
-if (minPrice) {
-filter.price = { $gte: parseFloat(minPrice) };
+// Filtrar por preço (operadores combinados no mesmo campo)
+if (minPrice !== undefined || maxPrice !== undefined) {
+filter.price = {};
+if (minPrice !== undefined) filter.price.$gte = parseFloat(minPrice);
+if (maxPrice !== undefined) filter.price.$lte = parseFloat(maxPrice);
 }
-if (maxPrice) {
-if (filter.price) {
-filter.price.$lte = parseFloat(maxPrice);
-} else {
-filter.price = { $lte: parseFloat(maxPrice) };
-}
-}
-let products;
-// Se há busca por texto, usar método de search
+// Busca por texto em nome, descrição ou tags (tags é array)
 if (search) {
-products = await this.productsDb.search(search, ['name',
-'description', 'tags']);
-// Aplicar outros filtros manualmente
-products = products.filter(product => {
-for (const [key, value] of Object.entries(filter)) {
-if (key === 'price') {
-if (value.$gte && product.price < value.$gte) return
-false;
-if (value.$lte && product.price > value.$lte) return
-false;
-} else if (key.includes('.')) {
-// Campos aninhados (ex: category.slug)
-const keys = key.split('.');
-const productValue = keys.reduce((obj, k) => obj?.[k],
-product);
-if (productValue !== value) return false;
-} else if (product[key] !== value) {
-return false;
-}
-}
-return true;
-});
-// Aplicar paginação manual
-products = products.slice(skip, skip + parseInt(limit));
-} else {
-products = await this.productsDb.find(filter, {
-skip: skip,
+const pattern = escapeRegex(search);
+filter.$or = [
+{ name: { $regex: pattern } },
+{ description: { $regex: pattern } },
+{ tags: { $regex: pattern } }
+];
+}
+// Projeção opcional: ?fields=name,price,category.slug
+const projection = fields
+? Object.fromEntries(String(fields).split(',').map(f => f.trim()).filter(Boolean).map(f => [f, 1]))
+: undefined;
+// Com ?cursor=<nextCursor> a listagem continua após o último produto visto
+// (estável mesmo com inserções entre as páginas); sem cursor vale page/limit
+const { documents: products, nextCursor } = await this.productsDb.findPage(filter, {
 limit: parseInt(limit),
-sort: { createdAt: -1 }
+sort: { createdAt: -1 },
+after: cursor,
+skip: cursor ? 0 : skip,
+projection
 });
-}
 const total = await this.productsDb.count(filter);
 res.json({
 success: true,
 data: products,
 pagination: {
-page: parseInt(page),
+page: cursor ? null : parseInt(page),
 limit: parseInt(limit),
 total: total,
-pages: Math.ceil(total / parseInt(limit))
+pages: Math.ceil(total / parseInt(limit)),
+nextCursor
 }
 });
 } catch (error) {
+if (error instanceof InvalidQueryError) {
+return res.status(400).json({
+success: false,
+message: error.message
+});
+}
 console.error('Erro ao buscar produtos:', error);
 res.status(500).json({
 success: false,
@@ -362,6 +428,7 @@ success: false,
 message: 'Produto não encontrado'
 });
 }
+res.set('ETag', etagFor(product));
 res.json({
 success: true,
 data: product
@@ -388,20 +455,14 @@ tags,
 specifications,
 featured = false
 } = req.body;
-if (!name || !price) {
-return res.status(400).json({
-success: false,
-message: 'Nome e preço são obrigatórios'
-});
-}
-// Criar produto com schema NoSQL flexível
+// Criar produto com schema NoSQL flexível (obrigatórios e tipos validados pelo banco)
 const newProduct = await this.productsDb.create({
 id: uuidv4(),
 name,
 description: description || '',
-price: parseFloat(price),
+price: price !== undefined ? parseFloat(price) : undefined,
 stock: parseInt(stock) || 0,
-category: category || { name: 'Geral', slug: 'geral' },
+category: withSlug(category) || { name: 'Geral', slug: 'geral' },
 images: Array.isArray(images) ? images : (images ? [images] : []),
 tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
 specifications: specifications || {},
@@ -411,13 +472,14 @@ metadata: {
 createdBy: req.user.id,
 createdByName: `${req.user.firstName} ${req.user.lastName}`
 }
-});
+}, { actor: req.user.id });
 res.status(201).json({
 success: true,
 message: 'Produto criado com sucesso',
 data: newProduct
 });
 } catch (error) {
+if (error instanceof ValidationError) return this.sendValidationError(res, error);
 console.error('Erro ao criar produto:', error);
 res.status(500).json({
 success: false,
@@ -454,7 +516,7 @@ async updateProduct(req, res) {
         if (description !== undefined) updates.description = description;
         if (price !== undefined) updates.price = parseFloat(price);
         if (stock !== undefined) updates.stock = parseInt(stock);
-        if (category !== undefined) updates.category = category;
+        if (category !== undefined) updates.category = withSlug(category);
         if (images !== undefined) {
         updates.images = Array.isArray(images) ? images : (images ?
         [images] : []);
@@ -463,24 +525,48 @@ async updateProduct(req, res) {
         updates.tags = Array.isArray(tags) ? tags : (tags ? [tags] : []);
         }
         if (specifications !== undefined) {
-        // Merge com especificações existentes
-        updates.specifications =
-        { ...product.specifications, ...specifications };
+        // Merge com especificações existentes (campo a campo, via dot-path);
+        // as chaves viram caminhos, então só nomes simples são aceitos
+        const specKeys = specifications && typeof specifications === 'object' && !Array.isArray(specifications)
+        ? Object.keys(specifications) : null;
+        const invalidKey = specKeys && specKeys.find(key => !SPEC_KEY.test(key));
+        if (!specKeys || invalidKey !== undefined) {
+        return res.status(400).json({
+        success: false,
+        message: specKeys ? `Chave inválida em specifications: ${invalidKey}` : 'specifications deve ser um objeto'
+        });
+        }
+        for (const key of specKeys) {
+        updates[`specifications.${key}`] = specifications[key];
+        }
         }
         if (active !== undefined) updates.active = active;
         if (featured !== undefined) updates.featured = featured;
         // Adicionar metadata de atualização
         updates['metadata.lastUpdatedBy'] = req.user.id;
-        updates['metadata.lastUpdatedByName'] = `${req.user.firstName} $
-        {req.user.lastName}`;
+        updates['metadata.lastUpdatedByName'] = `${req.user.firstName} ${req.user.lastName}`;
         updates['metadata.lastUpdatedAt'] = new Date().toISOString();
-        const updatedProduct = await this.productsDb.update(id, updates);
+        // If-Match opcional: com ele a escrita falha (412) se o produto mudou
+        const updatedProduct = await this.productsDb.update(id, updates, {
+        expectedVersion: parseIfMatch(req.header('If-Match')),
+        actor: req.user.id
+        });
+        res.set('ETag', etagFor(updatedProduct));
         res.json({
         success: true,
         message: 'Produto atualizado com sucesso',
         data: updatedProduct
         });
         } catch (error) {
+            if (error instanceof ValidationError) return this.sendValidationError(res, error);
+            if (error instanceof VersionConflictError) {
+            res.set('ETag', `"${error.currentVersion}"`);
+            return res.status(412).json({
+            success: false,
+            message: 'Produto alterado por outra requisição',
+            currentVersion: error.currentVersion
+            });
+            }
             console.error('Erro ao atualizar produto:', error);
 res.status(500).json({
 success: false,
@@ -503,10 +589,9 @@ message: 'Produto não encontrado'
 await this.productsDb.update(id, {
 active: false,
 'metadata.deletedBy': req.user.id,
-'metadata.deletedByName': `${req.user.firstName} $
-{req.user.lastName}`,
+'metadata.deletedByName': `${req.user.firstName} ${req.user.lastName}`,
 'metadata.deletedAt': new Date().toISOString()
-});
+}, { actor: req.user.id });
 res.json({
 success: true,
 message: 'Produto removido com sucesso'
@@ -531,24 +616,35 @@ success: false,
 message: 'Produto não encontrado'
 });
 }
-let newStock = product.stock;
+// Operadores de update: o incremento acontece dentro da escrita do banco,
+// sem ler-modificar-gravar aqui
+const amount = parseInt(quantity);
+if (Number.isNaN(amount)) {
+return res.status(400).json({
+success: false,
+message: 'Quantidade inválida'
+});
+}
+let update;
 switch (operation) {
     case 'add':
-    newStock += parseInt(quantity);
+    update = { $inc: { stock: amount } };
     break;
     case 'subtract':
-    newStock = Math.max(0, newStock - parseInt(quantity));
+    update = { $inc: { stock: -amount }, $max: { stock: 0 } };
     break;
     case 'set':
     default:
-    newStock = parseInt(quantity);
+    update = { $set: { stock: amount } };
     break;
     }
-    await this.productsDb.update(id, {
-    stock: newStock,
+    update.$set = {
+    ...update.$set,
     'metadata.lastStockUpdate': new Date().toISOString(),
     'metadata.lastStockUpdateBy': req.user.id
-    });
+    };
+    const updated = await this.productsDb.update(id, update, { actor: req.user.id });
+    const newStock = updated.stock;
     res.json({
     success: true,
     message: 'Estoque atualizado com sucesso',
@@ -561,6 +657,7 @@ switch (operation) {
     }
     });
     } catch (error) {
+    if (error instanceof ValidationError) return this.sendValidationError(res, error);
     console.error('Erro ao atualizar estoque:', error);
     res.status(500).json({
     success: false,
@@ -568,28 +665,91 @@ switch (operation) {
     });
     }
     }
+    // Get product history (revisões mais recentes primeiro; ?limit=)
+    async getProductHistory(req, res) {
+    try {
+    const product = await this.productsDb.findById(req.params.id);
+    if (!product) {
+    return res.status(404).json({
+    success: false,
+    message: 'Produto não encontrado'
+    });
+    }
+    const limit = parseInt(req.query.limit) || undefined;
+    res.json({
+    success: true,
+    data: await this.productsDb.history(product.id, { limit })
+    });
+    } catch (error) {
+    console.error('Erro ao buscar histórico:', error);
+    res.status(500).json({
+    success: false,
+    message: 'Erro interno do servidor'
+    });
+    }
+    }
+    // Revert product to { revision } (If-Match opcional)
+    async revertProduct(req, res) {
+    try {
+    const { revision } = req.body;
+    if (revision === undefined) {
+    return res.status(400).json({
+    success: false,
+    message: 'revision é obrigatório'
+    });
+    }
+    const reverted = await this.productsDb.revert(req.params.id, revision, {
+    expectedVersion: parseIfMatch(req.header('If-Match')),
+    actor: req.user.id
+    });
+    if (reverted) res.set('ETag', etagFor(reverted));
+    res.json({
+    success: true,
+    message: `Produto revertido para a revisão ${revision}`,
+    data: reverted
+    });
+    } catch (error) {
+    if (error instanceof ValidationError) return this.sendValidationError(res, error);
+    if (error instanceof VersionConflictError) {
+    res.set('ETag', `"${error.currentVersion}"`);
+    return res.status(412).json({
+    success: false,
+    message: 'Produto alterado por outra requisição',
+    currentVersion: error.currentVersion
+    });
+    }
+    if (error instanceof DatabaseError && error.code === 'REVISION_NOT_FOUND') {
+    return res.status(404).json({
+    success: false,
+    message: error.message
+    });
+    }
+    console.error('Erro ao reverter produto:', error);
+    res.status(500).json({
+    success: false,
+    message: 'Erro interno do servidor'
+    });
+    }
+    }
     // Get categories (extraídas dos produtos)
     async getCategories(req, res) {
     try {
-    const products = await this.productsDb.find({ active: true });
-    // Extrair categorias únicas dos produtos (demonstrando flexibilidade NoSQL)
-    const categoriesMap = new Map();
-    products.forEach(product => {
-    if (product.category) {
-    const key = product.category.slug || product.category.name;
-    if (!categoriesMap.has(key)) {
-    categoriesMap.set(key, {
-    name: product.category.name,
-    slug: product.category.slug ||
-    product.category.name.toLowerCase().replace(/\s+/g, '-'),
-    productCount: 0
-    });
+    // Categorias e contagem de produtos ativos agregadas no próprio banco
+    // (o slug é garantido pela migração 001-category-slug)
+    const categories = await this.productsDb.aggregate([
+    { $match: { active: true, 'category.slug': { $exists: true } } },
+    {
+    $group: {
+    _id: '$category.slug',
+    name: { $first: '$category.name' },
+    productCount: { $count: {} },
+    averagePrice: { $avg: '$price' },
+    totalStock: { $sum: '$stock' }
     }
-    categoriesMap.get(key).productCount++;
-}
-});
-const categories = Array.from(categoriesMap.values())
-.sort((a, b) => a.name.localeCompare(b.name));
+    },
+    { $project: { _id: 0, name: 1, slug: '$_id', productCount: 1, averagePrice: 1, totalStock: 1 } },
+    { $sort: { name: 1 } }
+    ]);
 res.json({
 success: true,
 data: categories
@@ -602,6 +762,37 @@ message: 'Erro interno do servidor'
 });
 }
 }
+// Change feed dos produtos: GET /changes?since=<seq>&limit=<n>
+async getChanges(req, res) {
+try {
+const { since = 0, limit = 100 } = req.query;
+const changes = await this.productsDb.changes({
+since: parseInt(since) || 0,
+limit: parseInt(limit) || 100
+});
+res.json({
+success: true,
+data: {
+changes,
+lastSeq: changes.length > 0 ? changes[changes.length - 1].seq : parseInt(since) || 0
+}
+});
+} catch (error) {
+if (error instanceof ChangeFeedExpiredError) {
+// posição antiga demais: cliente deve recarregar tudo e recomeçar do seq atual
+return res.status(410).json({
+success: false,
+message: error.message,
+oldestSeq: error.oldest
+});
+}
+console.error('Erro ao buscar alterações:', error);
+res.status(500).json({
+success: false,
+message: 'Erro interno do servidor'
+});
+}
+}
 // Search products (demonstrando busca NoSQL)
 async searchProducts(req, res) {
 try {
@@ -612,20 +803,16 @@ success: false,
 message: 'Parâmetro de busca "q" é obrigatório'
 });
 }
-// Busca full-text NoSQL
-let products = await this.productsDb.search(q, ['name', 'description',
-'tags']);
-// Filtrar apenas produtos ativos
-products = products.filter(product => product.active);
-// Filtrar por categoria se especificada
+// Busca textual ranqueada (sem acentos, com prefixo): só produtos ativos,
+// opcionalmente da categoria (slug ou nome); cada resultado traz _score
+const filter = { active: true };
 if (category) {
-products = products.filter(product =>
-product.category?.slug === category || product.category?.name
-=== category
-);
+filter.$or = [{ 'category.slug': category }, { 'category.name': category }];
 }
-// Aplicar limite
-products = products.slice(0, parseInt(limit));
+const products = await this.productsDb.search(q, {
+filter,
+limit: parseInt(limit) || 20
+});
 res.json({
 success: true,
 data: {
@@ -647,19 +834,32 @@ message: 'Erro interno do servidor'
 registerWithRegistry() {
 serviceRegistry.register(this.serviceName, {
 url: this.serviceUrl,
-version: '1.0.0',
+version: process.env.SERVICE_VERSION || '1.0.0',
+tags: tagsFromEnv(),
 database: 'JSON-NoSQL',
-endpoints: ['/health', '/products', '/categories', '/search']
+endpoints: ['/health', '/products', '/categories', '/search'],
+// /health responde 503 com status 'unhealthy' se o banco falhar
+health: { path: '/health', interval: 15000, healthyThreshold: 2 }
+}).then(() => {
+console.log(`[registry] ${this.serviceName} registrado em ${this.serviceUrl}`);
+}).catch((error) => {
+console.error('[registry] falha ao registrar:', error.message);
 });
 }
 // Start health check reporting
 startHealthReporting() {
 setInterval(() => {
-serviceRegistry.updateHealth(this.serviceName, true);
-}, 30000);
+serviceRegistry.updateHealth(this.serviceName, true).catch((error) => {
+console.warn('[registry] falha ao reportar saúde:', error.message);
+});
+}, 30000).unref();
 }
 start() {
-this.app.listen(this.port, () => {
+this.migrated.catch((error) => {
+console.error('Falha ao migrar products:', error.message);
+process.exit(1);
+});
+this.migrated.then(() => this.app.listen(this.port, () => {
 console.log('=====================================');
 console.log(`Product Service iniciado na porta ${this.port}`);
 console.log(`URL: ${this.serviceUrl}`);
@@ -669,7 +869,7 @@ console.log('=====================================');
 // Register with service registry
 this.registerWithRegistry();
 this.startHealthReporting();
-});
+}));
 }
 }
 // Start service
@@ -677,13 +877,13 @@ if (require.main === module) {
 const productService = new ProductService();
 productService.start();
 // Graceful shutdown
-process.on('SIGTERM', () => {
-serviceRegistry.unregister('product-service');
-process.exit(0);
+const shutdown = async () => {
+await serviceRegistry.unregister('product-service').catch((error) => {
+console.error('[registry] falha ao remover:', error.message);
 });
-process.on('SIGINT', () => {
-serviceRegistry.unregister('product-service');
 process.exit(0);
-});
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 }
 module.exports = ProductService;    
\ No newline at end of file
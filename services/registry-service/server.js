@@ -0,0 +1,175 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { Registry, key, CHECK_TICK_MS } = require('../../shared/registry/Registry');
+const { Balancer, STRATEGIES } = require('../../shared/loadBalancing');
+const { writeJsonAtomic } = require('../../shared/storage/FileStorage');
+
+// -------------------- config --------------------
+// Serviços apontam para cá com REGISTRY_URL=http://<host>:3010
+const app = express();
+const PORT = process.env.PORT || 3010;
+const SERVICE_NAME = 'registry-service';
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN; // opcional: exige X-Registry-Token
+const DATA_FILE = process.env.REGISTRY_DATA || path.join(__dirname, 'data', 'registry.json');
+const WATCH_PING_MS = 15_000; // comentário SSE para manter a conexão aberta em proxies
+
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(morgan('dev'));
+
+// -------------------- estado --------------------
+// Um único processo guarda o registry e faz os health checks; o arquivo só
+// serve para não perder os registros ao reiniciar
+const registry = new Registry();
+const balancers = new Map(); // lookup do lado do servidor (clientes sem balanceamento próprio)
+
+async function loadState() {
+  try {
+    if (await fs.pathExists(DATA_FILE)) registry.load(await fs.readJson(DATA_FILE));
+  } catch (e) {
+    console.warn('[registry] estado salvo ilegível, começando vazio:', e.message);
+  }
+}
+
+// gravações encadeadas: a última sempre reflete o estado mais novo
+let saving = Promise.resolve();
+function saveState() {
+  saving = saving
+    .then(() => fs.ensureDir(path.dirname(DATA_FILE)))
+    .then(() => writeJsonAtomic(DATA_FILE, registry.toJSON()))
+    .catch(e => console.error('[registry] falha ao salvar estado:', e.message));
+  return saving;
+}
+
+// -------------------- auth --------------------
+function auth(req, res, next) {
+  if (!REGISTRY_TOKEN || req.headers['x-registry-token'] === REGISTRY_TOKEN) return next();
+  return res.status(401).json({ error: 'X-Registry-Token inválido' });
+}
+
+function requireUrl(req, res) {
+  const url = (req.body && req.body.url) || req.query.url;
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    res.status(400).json({ error: 'url (http:// ou https://) é obrigatória' });
+    return null;
+  }
+  return url.replace(/\/+$/, '');
+}
+
+// -------------------- endpoints --------------------
+
+// GET /services - todos os serviços e instâncias
+app.get('/services', auth, (_req, res) => {
+  res.json(registry.toJSON());
+});
+
+// GET /services/:name - instâncias do serviço
+app.get('/services/:name', auth, (req, res) => {
+  res.json({ service: req.params.name, instances: registry.instances(req.params.name) });
+});
+
+// GET /services/:name/lookup?strategy= - uma instância saudável (balanceada aqui)
+app.get('/services/:name/lookup', auth, (req, res) => {
+  const { strategy = 'round-robin' } = req.query;
+  if (!STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `strategy deve ser ${STRATEGIES.join(', ')}` });
+  }
+  const id = `${req.params.name} ${strategy}`;
+  if (!balancers.has(id)) balancers.set(id, new Balancer(strategy));
+  const instance = balancers.get(id).pick(registry.instances(req.params.name).filter(i => i.healthy));
+  if (!instance) return res.status(404).json({ error: `Nenhuma instância saudável de ${req.params.name}` });
+  res.json({ url: instance.url, instance });
+});
+
+// POST /services/:name/instances - registrar (ou atualizar) { url, meta }
+app.post('/services/:name/instances', auth, async (req, res) => {
+  const url = requireUrl(req, res);
+  if (!url) return;
+  const instance = registry.register(req.params.name, url, (req.body && req.body.meta) || {});
+  await saveState();
+  console.log(`[registry] ${req.params.name} registrado em ${url}`);
+  res.status(201).json(instance);
+});
+
+// POST /services/:name/heartbeat - { url, healthy? }; 404 se a instância não está registrada
+app.post('/services/:name/heartbeat', auth, async (req, res) => {
+  const url = requireUrl(req, res);
+  if (!url) return;
+  const { healthy } = req.body || {};
+  const instance = registry.heartbeat(req.params.name, url, { healthy: typeof healthy === 'boolean' ? healthy : undefined });
+  if (!instance) return res.status(404).json({ error: 'Instância não registrada' });
+  res.json(instance);
+});
+
+// POST /services/:name/report - { url, ok, error? } sinal passivo (ex: erro do
+// proxy do gateway), com os mesmos limiares dos checks; 404 se não registrada
+app.post('/services/:name/report', auth, (req, res) => {
+  const url = requireUrl(req, res);
+  if (!url) return;
+  const { ok, error } = req.body || {};
+  if (typeof ok !== 'boolean') return res.status(400).json({ error: 'ok (boolean) é obrigatório' });
+  const instance = registry.report(req.params.name, url, { ok, error: error ? String(error) : undefined });
+  if (!instance) return res.status(404).json({ error: 'Instância não registrada' });
+  res.json(instance);
+});
+
+// DELETE /services/:name/instances?url= - remover instância
+app.delete('/services/:name/instances', auth, async (req, res) => {
+  const url = requireUrl(req, res);
+  if (!url) return;
+  const removed = registry.deregister(req.params.name, url);
+  await saveState();
+  if (removed) console.log(`[registry] ${req.params.name} removido (${url})`);
+  res.json({ removed });
+});
+
+// GET /watch?service= - Server-Sent Events com as mudanças (todas, ou de um serviço):
+//   event: change
+//   data: { type: added|updated|removed|healthy|unhealthy, service, instance }
+// Quem (re)conecta deve reler GET /services/:name: eventos anteriores não são reenviados
+app.get('/watch', auth, (req, res) => {
+  const service = req.query.service ? key(req.query.service) : null;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(': conectado\n\n');
+
+  const onChange = (event) => {
+    if (service && event.service !== service) return;
+    res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const ping = setInterval(() => res.write(': ping\n\n'), WATCH_PING_MS);
+  registry.on('change', onChange);
+  req.on('close', () => {
+    clearInterval(ping);
+    registry.off('change', onChange);
+  });
+});
+
+// health
+app.get('/health', (_req, res) => res.json({ status: 'ok', service: SERVICE_NAME }));
+
+// -------------------- health checks --------------------
+setInterval(async () => {
+  try {
+    await registry.checkAll();
+    await saveState();
+  } catch (e) {
+    console.warn('[registry] health loop error:', e.message);
+  }
+}, CHECK_TICK_MS);
+
+// -------------------- start --------------------
+loadState().then(() => {
+  app.listen(PORT, () => {
+    console.log(`Registry Service ouvindo em http://localhost:${PORT}`);
+  });
+});
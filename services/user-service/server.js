@@ -9,13 +9,24 @@ const path = require('path');
 
 // shared utils
 const JsonDatabase = require('../../shared/JsonDatabase');
+const { storageFromEnv } = require('../../shared/storage');
+const { UniqueConstraintError, ValidationError } = require('../../shared/dbErrors');
+const { project } = require('../../shared/queryEngine');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const { tagsFromEnv } = require('../../shared/versionRouting');
+const { migrate } = require('../../shared/migrations');
+const { mountBackupRoutes } = require('../../shared/backup');
 
 // -------------------- config --------------------
 const app = express();
 const PORT = process.env.PORT || 3001;
 const SERVICE_NAME = 'user-service';
 const SERVICE_URL = `http://localhost:${PORT}`;
+// peso no balanceamento 'weighted' do gateway (0 = não recebe tráfego)
+const SERVICE_WEIGHT = process.env.SERVICE_WEIGHT !== undefined ? Number(process.env.SERVICE_WEIGHT) : 1;
+// versão e tags anunciadas no registry (roteamento por versão/canário do gateway)
+const SERVICE_VERSION = process.env.SERVICE_VERSION || require('./package.json').version;
+const SERVICE_TAGS = tagsFromEnv();
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
 const JWT_EXPIRES = process.env.JWT_EXPIRES || '2h';
 const SALT_ROUNDS = Number(process.env.SALT_ROUNDS || 10);
@@ -29,27 +40,88 @@ app.use(morgan('dev'));
 // -------------------- DB --------------------
 const dbPath = path.join(__dirname, 'database'); // ./services/user-services/database
 
-const usersDb = new JsonDatabase(dbPath, 'users');
+const USER_SCHEMA = {
+  type: 'object',
+  required: ['email', 'username', 'password'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    username: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    preferences: {
+      type: 'object',
+      properties: {
+        defaultStore: { type: 'string' },
+        currency: { type: 'string', minLength: 3, maxLength: 3 }
+      }
+    }
+  }
+};
+
+const usersDb = new JsonDatabase(dbPath, 'users', {
+  schema: USER_SCHEMA,
+  indexes: [
+    { field: 'email', unique: true, caseInsensitive: true },
+    { field: 'username', unique: true, caseInsensitive: true }
+  ],
+  // revisões em users_history, sem o hash da senha
+  history: { exclude: ['password'] },
+  storage: storageFromEnv() // DB_STORAGE=json|log|memory
+});
+
+// sessões: uma por token emitido (jti do JWT), vencendo junto com ele. O TTL
+// do banco esconde e remove as vencidas; o logout apaga a sessão antes disso.
+// As rotas deste serviço consultam a sessão aqui; os demais (gateway,
+// list/item/product-service) perguntam por /auth/validate (shared/sessionCheck.js)
+const sessionsDb = new JsonDatabase(dbPath, 'sessions', {
+  indexes: ['userId'],
+  ttl: true, // expiresAt
+  storage: storageFromEnv()
+});
 
-// helper: retira campos sensíveis
+// helper: retira campos sensíveis (mesma projeção usada nas leituras)
+const PUBLIC_FIELDS = { password: 0 };
 function sanitize(user) {
-  if (!user) return null;
-  const { password, ...rest } = user;
-  return rest;
+  return project(user, PUBLIC_FIELDS) || null;
+}
+
+// helper: emite o JWT e registra a sessão dele
+async function issueToken(user) {
+  const sid = uuidv4();
+  const token = jwt.sign({ id: user.id, email: user.email, role: 'user' }, JWT_SECRET, { expiresIn: JWT_EXPIRES, jwtid: sid });
+  const { exp } = jwt.decode(token);
+  await sessionsDb.create({ id: sid, userId: user.id, expiresAt: new Date(exp * 1000).toISOString() });
+  return token;
+}
+
+// helper: payload do token com assinatura válida e sessão ativa; null se não
+async function verifySession(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (!payload.jti || !(await sessionsDb.findById(payload.jti))) return null;
+  return payload;
 }
 
 // helper: auth middleware
-function auth(req, res, next) {
+async function auth(req, res, next) {
   const h = req.headers.authorization || '';
   const token = h.startsWith('Bearer ') ? h.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Token ausente' });
+  let payload;
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = payload; // { id, email, role }
-    next();
-  } catch {
-    return res.status(401).json({ error: 'Token inválido' });
+    payload = await verifySession(token);
+  } catch (e) {
+    console.error('auth error', e);
+    return res.status(500).json({ error: 'Falha ao validar token' });
   }
+  if (!payload) return res.status(401).json({ error: 'Token inválido' });
+  req.user = payload; // { id, email, role, jti }
+  next();
 }
 
 // -------------------- ENDPOINTS --------------------
@@ -65,14 +137,11 @@ app.post('/auth/register', async (req, res) => {
       preferences = {}
     } = req.body || {};
 
-    if (!email || !password || !username) {
-      return res.status(400).json({ error: 'email, username e password são obrigatórios' });
+    // a senha é conferida aqui porque o banco só recebe o hash; os demais campos vão pelo schema
+    if (!password) {
+      return res.status(400).json({ error: 'password é obrigatório' });
     }
 
-    const all = await usersDb.find();
-    const emailExists = all.some(u => (u.email || '').toLowerCase() === String(email).toLowerCase());
-    if (emailExists) return res.status(409).json({ error: 'Email já cadastrado' });
-
     const now = new Date().toISOString();
     const hash = await bcrypt.hash(password, SALT_ROUNDS);
 
@@ -91,10 +160,22 @@ app.post('/auth/register', async (req, res) => {
       updatedAt: now
     };
 
-    const saved = await usersDb.create(user);
+    let saved;
+    try {
+      saved = await usersDb.create(user, { actor: user.id }); // auto-cadastro
+    } catch (e) {
+      if (e instanceof UniqueConstraintError) {
+        const label = e.field === 'email' ? 'Email' : 'Username';
+        return res.status(409).json({ error: `${label} já cadastrado` });
+      }
+      if (e instanceof ValidationError) {
+        return res.status(400).json({ error: 'Dados inválidos', details: e.errors });
+      }
+      throw e;
+    }
 
     // gera token já no cadastro (opcional)
-    const token = jwt.sign({ id: saved.id, email: saved.email, role: 'user' }, JWT_SECRET, { expiresIn: JWT_EXPIRES });
+    const token = await issueToken(saved);
     return res.status(201).json({ user: sanitize(saved), token });
   } catch (e) {
     console.error('register error', e);
@@ -110,17 +191,16 @@ app.post('/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Informe email ou username e a senha' });
     }
 
-    const all = await usersDb.find();
-    const user = all.find(u =>
-      (email && (u.email || '').toLowerCase() === String(email).toLowerCase()) ||
-      (username && (u.username || '').toLowerCase() === String(username).toLowerCase())
-    );
+    // email/username têm índice único sem distinção de maiúsculas
+    const user = email
+      ? await usersDb.findOne({ email: String(email) })
+      : await usersDb.findOne({ username: String(username) });
 
     if (!user) return res.status(401).json({ error: 'Credenciais inválidas' });
     const ok = await bcrypt.compare(password, user.password || '');
     if (!ok) return res.status(401).json({ error: 'Credenciais inválidas' });
 
-    const token = jwt.sign({ id: user.id, email: user.email, role: 'user' }, JWT_SECRET, { expiresIn: JWT_EXPIRES });
+    const token = await issueToken(user);
     return res.json({ user: sanitize(user), token });
   } catch (e) {
     console.error('login error', e);
@@ -128,14 +208,41 @@ app.post('/auth/login', async (req, res) => {
   }
 });
 
+// POST /auth/logout  (encerra a sessão do token usado)
+app.post('/auth/logout', auth, async (req, res) => {
+  try {
+    await sessionsDb.delete(req.user.jti);
+    return res.status(204).end();
+  } catch (e) {
+    console.error('logout error', e);
+    return res.status(500).json({ error: 'Falha ao encerrar sessão' });
+  }
+});
+
+// POST /auth/validate  { token } (usado por outros serviços, ex: product-service)
+app.post('/auth/validate', async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ success: false, error: 'Token ausente' });
+    const payload = await verifySession(String(token));
+    if (!payload) return res.status(401).json({ success: false, error: 'Token inválido' });
+    const user = await usersDb.findById(payload.id, { projection: PUBLIC_FIELDS });
+    if (!user) return res.status(401).json({ success: false, error: 'Usuário não encontrado' });
+    return res.json({ success: true, data: { user } });
+  } catch (e) {
+    console.error('validate token error', e);
+    return res.status(500).json({ success: false, error: 'Falha ao validar token' });
+  }
+});
+
 // GET /users/:id  (dados do usuário autenticado)
 app.get('/users/:id', auth, async (req, res) => {
   try {
     // regra simples: usuário só lê o próprio perfil
     if (req.user.id !== req.params.id) return res.status(403).json({ error: 'Acesso negado' });
-    const user = await usersDb.findById(req.params.id);
+    const user = await usersDb.findById(req.params.id, { projection: PUBLIC_FIELDS });
     if (!user) return res.status(404).json({ error: 'Usuário não encontrado' });
-    return res.json(sanitize(user));
+    return res.json(user);
   } catch (e) {
     console.error('get user error', e);
     return res.status(500).json({ error: 'Falha ao buscar usuário' });
@@ -160,23 +267,41 @@ app.put('/users/:id', auth, async (req, res) => {
         currency: preferences?.currency ?? current.preferences?.currency ?? 'BRL'
       },
       updatedAt: new Date().toISOString()
-    });
+    }, { actor: req.user.id });
 
     return res.json(sanitize(updated));
   } catch (e) {
+    if (e instanceof ValidationError) {
+      return res.status(400).json({ error: 'Dados inválidos', details: e.errors });
+    }
     console.error('update user error', e);
     return res.status(500).json({ error: 'Falha ao atualizar usuário' });
   }
 });
 
+// GET /users/:id/history  (alterações do próprio perfil)
+app.get('/users/:id/history', auth, async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) return res.status(403).json({ error: 'Acesso negado' });
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    return res.json(await usersDb.history(req.params.id, { limit }));
+  } catch (e) {
+    console.error('user history error', e);
+    return res.status(500).json({ error: 'Falha ao buscar histórico' });
+  }
+});
+
 // healthcheck
 app.get('/health', (_req, res) => res.json({ status: 'ok', service: SERVICE_NAME }));
 
+// backup/restauração (X-Admin-Token; ver shared/backup.js)
+mountBackupRoutes(app, { service: SERVICE_NAME, databases: [usersDb] });
+
 // -------------------- service registry --------------------
 async function register() {
   try {
-    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL);
-    console.log(`[registry] ${SERVICE_NAME} registrado em ${SERVICE_URL}`);
+    await serviceRegistry.register(SERVICE_NAME, SERVICE_URL, { weight: SERVICE_WEIGHT, version: SERVICE_VERSION, tags: SERVICE_TAGS });
+    console.log(`[registry] ${SERVICE_NAME} ${SERVICE_VERSION} registrado em ${SERVICE_URL}`);
   } catch (e) {
     console.error('[registry] falha ao registrar:', e);
   }
@@ -193,10 +318,9 @@ process.on('SIGINT', async () => { await deregister(); process.exit(0); });
 process.on('SIGTERM', async () => { await deregister(); process.exit(0); });
 
 // -------------------- seed opcional: admin --------------------
-(async () => {
+async function seedAdmin() {
   try {
-    const all = await usersDb.find();
-    if (all.length === 0) {
+    if (await usersDb.count() === 0) {
       const now = new Date().toISOString();
       const admin = {
         id: uuidv4(),
@@ -209,16 +333,25 @@ process.on('SIGTERM', async () => { await deregister(); process.exit(0); });
         createdAt: now,
         updatedAt: now
       };
-      await usersDb.create(admin);
+      await usersDb.create(admin, { actor: 'seed' });
       console.log('[seed] usuário admin criado (admin@demo.com / admin123)');
     }
   } catch (e) {
     console.error('[seed] erro:', e);
   }
-})();
+}
 
 // -------------------- start --------------------
-app.listen(PORT, async () => {
-  await register();
-  console.log(`User Service ouvindo em http://localhost:${PORT}`);
-});
+// migrações (migrations/users) rodam antes do seed e de aceitar requisições
+migrate(usersDb, path.join(__dirname, 'migrations', 'users'))
+  .then(async () => {
+    await seedAdmin();
+    app.listen(PORT, async () => {
+      await register();
+      console.log(`User Service ouvindo em http://localhost:${PORT}`);
+    });
+  })
+  .catch((e) => {
+    console.error('[migrations] falha ao migrar users:', e.message);
+    process.exit(1);
+  });
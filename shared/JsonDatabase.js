@@ -1,264 +1,1159 @@
 // shared/JsonDatabase.js
-const fs = require('fs-extra');
-const path = require('path');
+const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
-class JsonDatabase {
-constructor(dbPath, collectionName) {
-this.dbPath = dbPath;
-this.collectionName = collectionName;
-this.filePath = path.join(dbPath, `${collectionName}.json`);
-this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
-this.ensureDatabase();
+const {
+  DatabaseError,
+  UniqueConstraintError,
+  InvalidUpdateError,
+  InvalidQueryError,
+  BulkWriteError,
+  ChangeFeedExpiredError,
+  ValidationError,
+  VersionConflictError
+} = require('./dbErrors');
+const {
+  matchesFilter,
+  resolvePath,
+  compareSortValues,
+  project
+} = require('./queryEngine');
+const { applyUpdate } = require('./updateOperators');
+const { validate } = require('./schemaValidator');
+const { createStorage } = require('./storage');
+const { SearchIndex } = require('./searchIndex');
+const { runPipeline } = require('./aggregation');
+const { diff, revert: revertDiff } = require('./jsonDiff');
+
+// Filas de escrita por arquivo (storage.location): create/update/delete rodam
+// um de cada vez, mesmo entre instâncias do processo que apontam p/ o mesmo
+// arquivo. Cada instância tem o próprio cache, então a fila sozinha não basta:
+// toda gravação incrementa a geração do arquivo, e a instância que entra na
+// fila com uma geração antiga recarrega documentos e change feed antes de
+// escrever. Leituras fora da fila podem ver o cache defasado até lá; outros
+// processos não entram nessa conta
+const writeQueues = new Map();
+const generations = new Map();
+
+// Cópia profunda: o cache em memória nunca é exposto diretamente
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// Versão do documento; gravados antes do controle de versão contam como 0
+const versionOf = (document) => document._version || 0;
+
+// options.ttl normalizado: { field, seconds, sweepInterval } ou null
+function parseTtl(ttl) {
+  if (!ttl) return null;
+  const { field = 'expiresAt', seconds, sweepInterval = 60000 } = ttl === true ? {} : ttl;
+  if (seconds !== undefined && !(typeof seconds === 'number' && seconds > 0)) {
+    throw new DatabaseError(`ttl.seconds deve ser um número positivo: ${seconds}`, 'INVALID_TTL');
+  }
+  if (!(typeof sweepInterval === 'number' && sweepInterval > 0)) {
+    throw new DatabaseError(`ttl.sweepInterval deve ser um número positivo: ${sweepInterval}`, 'INVALID_TTL');
+  }
+  return { field, seconds, sweepInterval };
 }
-async ensureDatabase() {
-try {
-// Criar diretório do banco se não existir
-await fs.ensureDir(this.dbPath);
-// Criar arquivo da coleção se não existir
-if (!await fs.pathExists(this.filePath)) {
-await fs.writeJson(this.filePath, []);
+
+// Campos controlados pelo banco ficam fora das diferenças do histórico
+const HISTORY_IGNORED = ['updatedAt', '_version'];
+
+// Resultado de uma operação de lote sem os documentos internos
+const publicResult = ({ documents, ...result }) => result;
+
+// Erros esperados (ex: índice único) sobem sem poluir o log
+function logError(message, error) {
+  if (!(error instanceof DatabaseError)) console.error(message, error);
 }
-// Criar índice se não existir
-if (!await fs.pathExists(this.indexPath)) {
-await fs.writeJson(this.indexPath, {});
-}
-} catch (error) {
-    console.error('Erro ao inicializar banco:', error);
-    throw error;
+
+// Eventos emitidos após cada escrita gravada: 'insert', 'update', 'delete' e
+// 'change' (todos), com { seq, type, id, before, after, timestamp }
+class JsonDatabase extends EventEmitter {
+  /**
+   * @param {string} dbPath diretório do banco
+   * @param {string} collectionName nome da coleção (arquivo <nome>.json)
+   * @param {object} [options]
+   * @param {Array<string|{field: string, unique?: boolean, caseInsensitive?: boolean}>} [options.indexes]
+   *   campos indexados (aceita caminhos aninhados, ex: 'category.slug')
+   * @param {number} [options.changeLogSize=1000] alterações mantidas no change feed
+   * @param {object} [options.schema] JSON Schema exigido em create/update (ver shared/schemaValidator.js)
+   * @param {Array<string>|Object<string, number>} [options.textIndex] campos da busca textual
+   *   (ou { campo: peso }) mantidos num índice invertido (ver shared/searchIndex.js)
+   * @param {string|object} [options.storage='json'] adaptador de armazenamento: 'json', 'log',
+   *   'memory', { type, ...opções } ou um adaptador pronto (ver shared/storage/index.js)
+   * @param {boolean|{field?: string, seconds?: number, sweepInterval?: number}} [options.ttl]
+   *   expiração de documentos: `true` usa o campo expiresAt (data ISO ou epoch em ms) como
+   *   instante de expiração; com `seconds` o documento vence `seconds` após a data do campo
+   *   (ex: { field: 'createdAt', seconds: 3600 }). Documentos vencidos somem das leituras e
+   *   são removidos na próxima escrita ou pelo sweeper (a cada sweepInterval ms, padrão 60000)
+   * @param {boolean|{limit?: number, exclude?: Array<string>}} [options.history] histórico de
+   *   revisões por documento (quem, quando e a diferença) na coleção <nome>_history; guarda as
+   *   `limit` revisões mais recentes de cada documento (padrão 50). Campos em `exclude` (ex:
+   *   password) não entram nas diferenças. Ver history() e revert()
+   */
+  constructor(dbPath, collectionName, options = {}) {
+    super();
+    this.dbPath = dbPath;
+    this.collectionName = collectionName;
+    this.storage = createStorage(options.storage, { dbPath, collectionName });
+    this.changeLogSize = options.changeLogSize || 1000;
+    this.changeLog = [];
+    this.sequence = 0;
+    // Cache em memória: o armazenamento é a fonte de verdade, carregado uma vez
+    this.documents = [];
+    this.byId = new Map();
+    this.positions = new Map();
+    this.indexes = new Map();
+    for (const spec of options.indexes || []) {
+      this.defineIndex(spec);
+    }
+    this.textIndex = options.textIndex ? new SearchIndex({ fields: options.textIndex }) : null;
+    this.setSchema(options.schema);
+    this.ttl = parseTtl(options.ttl);
+    if (options.history) {
+      const { limit = 50, exclude = [] } = options.history === true ? {} : options.history;
+      this.historyOptions = { limit, exclude };
+      // um adaptador pronto pertence à coleção principal: o histórico fica em memória
+      const storage = options.storage && typeof options.storage.load === 'function' ? 'memory' : options.storage;
+      this.historyDb = new JsonDatabase(dbPath, `${collectionName}_history`, { indexes: ['documentId'], storage });
     }
+    // Todas as operações aguardam a inicialização (e eventual recuperação)
+    this.ready = this.ensureDatabase();
+    this.ready.catch(() => {});
+    if (this.ttl) {
+      this.sweeper = setInterval(() => this.purgeExpired().catch(() => {}), this.ttl.sweepInterval);
+      this.sweeper.unref();
     }
-    // Criar documento
-    async create(data) {
+  }
+
+  // Para o sweeper de TTL e libera o adaptador (ex: timer de compactação do log)
+  close() {
+    clearInterval(this.sweeper);
+    if (typeof this.storage.close === 'function') this.storage.close();
+    if (this.historyDb) this.historyDb.close();
+  }
+
+  async ensureDatabase() {
     try {
-    const documents = await this.readAll();
-    const document = {
-    id: data.id || uuidv4(),
-    ...data,
-    createdAt: data.createdAt || new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-    };
-    documents.push(document);
-    await this.writeAll(documents);
-    await this.updateIndex(document);
-    return document;
+      // geração lida antes da carga: uma gravação concorrente força a recarga
+      const generation = generations.get(this.storage.location) || 0;
+      // O adaptador cria o diretório e repara a coleção se estiver corrompida
+      const documents = await this.storage.load();
+      this.loadCache(documents);
+      // Regravar índice com as entradas atuais
+      await this.persistIndex();
+      await this.loadChangeLog();
+      this.generation = generation;
     } catch (error) {
-    console.error('Erro ao criar documento:', error);
-    throw error;
+      console.error('Erro ao inicializar banco:', error);
+      throw error;
     }
+  }
+
+  // Executa uma tarefa de escrita na fila da coleção (uma por vez)
+  async withWriteLock(task) {
+    await this.ready;
+    const previous = writeQueues.get(this.storage.location) || Promise.resolve();
+    const run = previous.then(async () => {
+      await this.syncWithStorage();
+      return task();
+    });
+    const tail = run.catch(() => {});
+    writeQueues.set(this.storage.location, tail);
+    tail.then(() => {
+      if (writeQueues.get(this.storage.location) === tail) writeQueues.delete(this.storage.location);
+    });
+    return run;
+  }
+
+  // Recarrega o cache se outra instância gravou no mesmo arquivo desde a
+  // última carga (chamado dentro da fila de escrita)
+  async syncWithStorage() {
+    const generation = generations.get(this.storage.location) || 0;
+    if (this.generation === generation) return;
+    this.loadCache(await this.storage.load());
+    await this.readChangeLog();
+    this.generation = generation;
+  }
+
+  // Segura a fila de escrita da coleção até resume() ser chamado; as leituras
+  // continuam. Usado para tirar snapshots consistentes de várias coleções
+  async pauseWrites() {
+    let resume;
+    await new Promise((paused, failed) => {
+      this.withWriteLock(() => new Promise(release => {
+        resume = release;
+        paused();
+      })).catch(failed);
+    });
+    return resume;
+  }
+
+  // Substitui o conteúdo da coleção (restauração de backup), sem validar schema.
+  // Documentos alterados ganham _version acima da atual, para que ETags antigos
+  // não voltem a valer; o change feed registra a diferença como alterações comuns
+  // (com options.actor como autor)
+  async restore(documents, options = {}) {
+    return this.withWriteLock(async () => {
+      const changes = [];
+      const restored = documents.map(document => {
+        const current = this.byId.get(document.id);
+        if (!current) {
+          const inserted = clone(document);
+          changes.push({ type: 'insert', id: inserted.id, before: null, after: inserted });
+          return inserted;
+        }
+        if (JSON.stringify(current) === JSON.stringify(document)) return current;
+        const next = { ...clone(document), _version: Math.max(versionOf(current), versionOf(document)) + 1 };
+        changes.push({ type: 'update', id: next.id, before: current, after: next });
+        return next;
+      });
+      const ids = new Set(documents.map(document => document.id));
+      for (const current of this.documents) {
+        if (!ids.has(current.id)) changes.push({ type: 'delete', id: current.id, before: current, after: null });
+      }
+      if (changes.length > 0) {
+        await this.commit(restored, changes);
+        await this.recordChanges(changes, options.actor);
+      }
+      const count = (type) => changes.filter(change => change.type === type).length;
+      return { insertedCount: count('insert'), updatedCount: count('update'), deletedCount: count('delete') };
+    });
+  }
+
+  // Registra (ou remove, com null) o schema da coleção. Vale para as próximas
+  // escritas; documentos já gravados não são revalidados.
+  // id/createdAt/updatedAt são controlados pelo banco e sempre permitidos
+  setSchema(schema) {
+    this.schema = schema ? {
+      ...schema,
+      properties: {
+        id: { type: ['string', 'number'] },
+        createdAt: { type: 'string' },
+        updatedAt: { type: 'string' },
+        _version: { type: 'integer' },
+        ...schema.properties
+      }
+    } : null;
+  }
+
+  validateDocument(document) {
+    if (!this.schema) return;
+    const errors = validate(this.schema, document);
+    if (errors.length > 0) {
+      throw new ValidationError(this.collectionName, errors);
     }
-    // Buscar por ID
-    async findById(id) {
+  }
+
+  // Declara um índice secundário (sem construir)
+  defineIndex(spec) {
+    const { field, unique = false, caseInsensitive = false } =
+      typeof spec === 'string' ? { field: spec } : spec;
+    const index = { field, unique, caseInsensitive, entries: new Map() };
+    this.indexes.set(field, index);
+    return index;
+  }
+
+  // Cria (ou recria) um índice em tempo de execução
+  async createIndex(field, options = {}) {
+    return this.withWriteLock(async () => {
+      const previous = this.indexes.get(field);
+      const index = this.defineIndex({ ...options, field });
+      try {
+        this.buildIndex(index);
+      } catch (error) {
+        if (previous) this.indexes.set(field, previous);
+        else this.indexes.delete(field);
+        throw error;
+      }
+      await this.persistIndex();
+      return field;
+    });
+  }
+
+  // Criar documento. Em todas as escritas, options.actor (quem fez a alteração)
+  // vai para o change feed e o histórico
+  async create(data, options = {}) {
     try {
-    const documents = await this.readAll();
-    return documents.find(doc => doc.id === id) || null;
+      const result = await this.writeOne({ insertOne: { document: data } }, options);
+      return clone(result.documents[0]);
     } catch (error) {
-    console.error('Erro ao buscar documento:', error);
-    throw error;
+      logError('Erro ao criar documento:', error);
+      throw error;
     }
+  }
+
+  // Buscar por ID (options.projection como em find)
+  async findById(id, options = {}) {
+    try {
+      await this.ready;
+      const document = this.byId.get(id);
+      if (!document || this.isExpired(document)) return null;
+      return project(clone(document), options.projection) || null;
+    } catch (error) {
+      logError('Erro ao buscar documento:', error);
+      throw error;
     }
-    // Buscar um documento com filtro
-    async findOne(filter) {
+  }
+
+  // Buscar um documento com filtro
+  async findOne(filter, options = {}) {
     try {
-    const documents = await this.readAll();
-    return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+      await this.ready;
+      const plan = this.planQuery(filter);
+      const document = plan.documents.find(doc => this.matchesFilter(doc, plan.filter));
+      return project(clone(document), options.projection) || null;
     } catch (error) {
-    console.error('Erro ao buscar documento:', error);
-    throw error;
+      logError('Erro ao buscar documento:', error);
+      throw error;
     }
+  }
+
+  // Buscar múltiplos documentos
+  // options: sort, skip, limit e projection ({ campo: 1 } inclui, { campo: 0 } exclui)
+  async find(filter = {}, options = {}) {
+    try {
+      await this.ready;
+      const plan = this.planQuery(filter);
+      let documents = plan.documents;
+      // Aplicar filtro
+      if (Object.keys(plan.filter).length > 0) {
+        documents = documents.filter(doc => this.matchesFilter(doc, plan.filter));
+      } else {
+        documents = [...documents];
+      }
+      // Aplicar ordenação
+      if (options.sort) {
+        documents = this.sortDocuments(documents, options.sort);
+      }
+      // Aplicar paginação
+      if (options.skip || options.limit) {
+        const skip = options.skip || 0;
+        const limit = options.limit || documents.length;
+        documents = documents.slice(skip, skip + limit);
+      }
+      return documents.map(doc => project(clone(doc), options.projection));
+    } catch (error) {
+      logError('Erro ao buscar documentos:', error);
+      throw error;
     }
-    // Buscar múltiplos documentos
-    async find(filter = {}, options = {}) {
+  }
+
+  // Paginação por cursor: ordena por options.sort (com id como desempate) e
+  // devolve { documents, nextCursor }. Passe nextCursor em options.after para a
+  // próxima página; ao contrário de skip, inserções entre as páginas não
+  // duplicam nem pulam documentos
+  async findPage(filter = {}, options = {}) {
     try {
-    let documents = await this.readAll();
-    // Aplicar filtro
-    if (Object.keys(filter).length > 0) {
-    documents = documents.filter(doc => this.matchesFilter(doc,
-    filter));
-    }
-// Aplicar ordenação
-if (options.sort) {
-    documents = this.sortDocuments(documents, options.sort);
-    }
-    // Aplicar paginação
-    if (options.skip || options.limit) {
-    const skip = options.skip || 0;
-    const limit = options.limit || documents.length;
-    documents = documents.slice(skip, skip + limit);
-    }
-    return documents;
+      await this.ready;
+      const sort = { ...(options.sort || {}) };
+      if (!('id' in sort)) sort.id = 1;
+      const limit = Math.max(1, parseInt(options.limit, 10) || 20);
+
+      const plan = this.planQuery(filter);
+      let documents = this.sortDocuments(
+        plan.documents.filter(doc => this.matchesFilter(doc, plan.filter)), sort);
+      if (options.after) {
+        const values = this.decodeCursor(options.after, sort);
+        documents = documents.filter(doc => this.compareToCursor(doc, sort, values) > 0);
+      }
+      if (options.skip) {
+        documents = documents.slice(options.skip);
+      }
+      const page = documents.slice(0, limit);
+      return {
+        documents: page.map(doc => project(clone(doc), options.projection)),
+        nextCursor: documents.length > limit ? this.encodeCursor(page[page.length - 1], sort) : null
+      };
     } catch (error) {
-    console.error('Erro ao buscar documentos:', error);
-    throw error;
+      logError('Erro ao paginar documentos:', error);
+      throw error;
     }
+  }
+
+  // Leitura em lotes para coleções grandes:
+  // for await (const doc of db.iterate({ active: true }, { batchSize: 50 })) { ... }
+  async *iterate(filter = {}, options = {}) {
+    const { batchSize = 100, ...pageOptions } = options;
+    let after = pageOptions.after || null;
+    do {
+      const page = await this.findPage(filter, { ...pageOptions, limit: batchSize, after });
+      yield* page.documents;
+      after = page.nextCursor;
+    } while (after);
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+
+  // Change feed: alterações com seq > since, na ordem em que foram gravadas.
+  // Consumidores guardam o último seq visto para retomar depois de reiniciar
+  async changes(options = {}) {
+    await this.ready;
+    const since = Number(options.since) || 0;
+    const oldest = this.changeLog.length > 0 ? this.changeLog[0].seq : this.sequence + 1;
+    if (since < oldest - 1) {
+      throw new ChangeFeedExpiredError(this.collectionName, since, oldest);
     }
-    // Contar documentos
-    async count(filter = {}) {
+    const entries = this.changeLog.filter(entry => entry.seq > since);
+    return clone(options.limit ? entries.slice(0, options.limit) : entries);
+  }
+
+  // Entrega as alterações perdidas desde `since` e passa a acompanhar as novas.
+  // Devolve a função que cancela a inscrição
+  async watch(listener, options = {}) {
+    const missed = await this.changes({ since: options.since });
+    const handler = (entry) => listener(entry);
+    for (const entry of missed) listener(entry);
+    this.on('change', handler);
+    return () => this.off('change', handler);
+  }
+
+  // Contar documentos
+  async count(filter = {}) {
     try {
-    const documents = await this.readAll();
-    if (Object.keys(filter).length === 0) {
-    return documents.length;
+      await this.ready;
+      const plan = this.planQuery(filter);
+      if (Object.keys(plan.filter).length === 0) {
+        return plan.documents.length;
+      }
+      return plan.documents.filter(doc => this.matchesFilter(doc, plan.filter)).length;
+    } catch (error) {
+      logError('Erro ao contar documentos:', error);
+      throw error;
     }
-    return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+  }
+
+  // Atualizar documento
+  // `updates` aceita campos simples (merge; 'a.b' grava aninhado) ou
+  // operadores ($set, $unset, $inc, $push, $pull, $addToSet...; ver
+  // shared/updateOperators.js). Também pode ser uma função (current) => updates,
+  // avaliada dentro da fila de escrita: permite read-modify-write sem perder
+  // escritas concorrentes. options.arrayFilters atende caminhos com '$[nome]'.
+  // Com options.expectedVersion a escrita só acontece se _version for igual
+  // (senão VersionConflictError)
+  async update(id, updates, options = {}) {
+    try {
+      const result = await this.writeOne({
+        updateOne: {
+          filter: { id },
+          update: updates,
+          arrayFilters: options.arrayFilters,
+          expectedVersion: options.expectedVersion
+        }
+      }, options);
+      return clone(result.documents[0]) || null;
+    } catch (error) {
+      logError('Erro ao atualizar documento:', error);
+      throw error;
+    }
+  }
+
+  // Deletar documento (options.expectedVersion como em update)
+  async delete(id, options = {}) {
+    try {
+      const result = await this.writeOne({
+        deleteOne: { filter: { id }, expectedVersion: options.expectedVersion }
+      }, options);
+      return result.deletedCount > 0;
     } catch (error) {
-    console.error('Erro ao contar documentos:', error);
-    throw error;
+      logError('Erro ao deletar documento:', error);
+      throw error;
     }
+  }
+
+  // Operações em lote: uma leitura e uma gravação para o lote inteiro.
+  // Se qualquer operação falhar, nenhuma é gravada (BulkWriteError)
+  async insertMany(documents, options = {}) {
+    if (!Array.isArray(documents)) {
+      throw new InvalidUpdateError('insertMany exige um array de documentos');
     }
-    // Atualizar documento
-    async update(id, updates) {
+    return this.bulkWrite(documents.map(document => ({ insertOne: { document } })), options);
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.bulkWrite([{ updateMany: { filter, update, arrayFilters: options.arrayFilters } }], options);
+  }
+
+  async deleteMany(filter, options = {}) {
+    return this.bulkWrite([{ deleteMany: { filter } }], options);
+  }
+
+  // Lote ordenado: [{ insertOne: { document } }, { updateOne: { filter, update } },
+  // { updateMany: ... }, { replaceOne: { filter, replacement } },
+  // { deleteOne: { filter } }, { deleteMany: ... }]. updateOne, replaceOne e
+  // deleteOne aceitam expectedVersion. options.actor vale para o lote todo
+  async bulkWrite(operations, options = {}) {
     try {
-    const documents = await this.readAll();
-    const index = documents.findIndex(doc => doc.id === id);
-    if (index === -1) {
+      const { results } = await this.runWrites(operations, options);
+      const total = (field) => results.reduce((acc, r) => acc + (r[field] || 0), 0);
+      return {
+        insertedCount: results.filter(r => r.insertedId !== undefined).length,
+        insertedIds: results.filter(r => r.insertedId !== undefined).map(r => r.insertedId),
+        matchedCount: total('matchedCount'),
+        modifiedCount: total('modifiedCount'),
+        deletedCount: total('deletedCount'),
+        results: results.map(publicResult)
+      };
+    } catch (error) {
+      logError('Erro na escrita em lote:', error);
+      throw error;
+    }
+  }
+
+  // Busca textual ranqueada, sem acentos e com prefixo (ver shared/searchIndex.js).
+  // Devolve os documentos do mais ao menos relevante, cada um com `_score`.
+  // Usa o índice declarado em options.textIndex; com `fields` (ou sem índice
+  // declarado) monta um índice temporário sobre esses campos (ou todo o texto).
+  // Aceita search(query, ['campo']) por compatibilidade
+  async search(query, options = {}) {
+    const { fields, filter, limit, projection } = Array.isArray(options) ? { fields: options } : options;
+    try {
+      await this.ready;
+      let index = this.textIndex;
+      if ((fields && fields.length > 0) || !index) {
+        index = new SearchIndex({ fields });
+        index.rebuild(this.documents);
+      }
+      const hits = [];
+      for (const { id, score } of index.search(String(query || ''))) {
+        const document = this.byId.get(id);
+        if (this.isExpired(document)) continue;
+        if (filter && !this.matchesFilter(document, filter)) continue;
+        hits.push({ ...project(clone(document), projection), _score: score });
+        if (limit && hits.length >= limit) break;
+      }
+      return hits;
+    } catch (error) {
+      logError('Erro na busca:', error);
+      throw error;
+    }
+  }
+
+  // Pipeline de agregação: $match, $unwind, $group, $sort, $project e $limit
+  // (ver shared/aggregation.js). Um $match no início usa os índices
+  async aggregate(pipeline) {
+    try {
+      await this.ready;
+      let documents = this.live(this.documents);
+      let stages = pipeline;
+      const [first] = Array.isArray(pipeline) ? pipeline : [];
+      if (first && first.$match && Object.keys(first).length === 1) {
+        const plan = this.planQuery(first.$match);
+        documents = plan.documents.filter(doc => this.matchesFilter(doc, plan.filter));
+        stages = pipeline.slice(1);
+      }
+      return clone(runPipeline(documents, stages));
+    } catch (error) {
+      logError('Erro na agregação:', error);
+      throw error;
+    }
+  }
+
+  // Métodos auxiliares
+  async readAll() {
+    await this.ready;
+    return clone(this.live(this.documents));
+  }
+
+  // Remove agora os documentos vencidos (o sweeper chama periodicamente)
+  async purgeExpired() {
+    try {
+      const { expiredCount } = await this.runWrites([]);
+      return expiredCount;
+    } catch (error) {
+      logError(`Erro ao remover documentos expirados (${this.collectionName}):`, error);
+      throw error;
+    }
+  }
+
+  // `changes` permite ao adaptador gravar só o que mudou (ex: log append-only)
+  async writeAll(documents, changes) {
+    await this.storage.save(documents, changes);
+  }
+
+  // Persiste a nova versão da coleção e só então atualiza cache e índices
+  async commit(documents, changes) {
+    await this.writeAll(documents, changes);
+    this.generation = (generations.get(this.storage.location) || 0) + 1;
+    generations.set(this.storage.location, this.generation);
+    this.loadCache(documents, changes);
+    await this.persistIndex();
+  }
+
+  // Escrita de uma operação só: devolve o erro original em vez do BulkWriteError
+  async writeOne(operation, options = {}) {
+    try {
+      const { results } = await this.runWrites([operation], options);
+      return results[0];
+    } catch (error) {
+      throw error instanceof BulkWriteError ? error.cause : error;
+    }
+  }
+
+  // Aplica as operações numa cópia de trabalho da coleção e grava tudo de uma
+  // vez no final; se qualquer operação falhar, nada é gravado
+  async runWrites(operations, options = {}) {
+    if (!Array.isArray(operations)) {
+      throw new InvalidUpdateError('bulkWrite exige um array de operações');
+    }
+    return this.withWriteLock(async () => {
+      const stage = this.createStage();
+      const expiredCount = this.expireStaged(stage);
+      const results = [];
+      for (const [i, operation] of operations.entries()) {
+        try {
+          results.push(await this.applyOperation(stage, operation));
+        } catch (error) {
+          throw new BulkWriteError(i, error, results.map(publicResult));
+        }
+      }
+      if (stage.dirty) {
+        await this.commit(this.stagedDocuments(stage), stage.changes);
+        await this.recordChanges(stage.changes, options.actor);
+      }
+      return { results, expiredCount };
+    });
+  }
+
+  createStage() {
+    const unique = new Map();
+    for (const index of this.indexes.values()) {
+      if (!index.unique) continue;
+      unique.set(index, new Map([...index.entries].map(([key, ids]) => [key, new Set(ids)])));
+    }
+    return { byId: new Map(this.byId), inserted: [], unique, changes: [], dirty: false };
+  }
+
+  // Todo lote começa removendo os documentos vencidos: updates não os encontram
+  // e valores de índices únicos ficam livres. No change feed saem como
+  // 'delete' com expired: true e actor 'ttl'
+  expireStaged(stage) {
+    if (!this.ttl) return 0;
+    const now = Date.now();
+    let expired = 0;
+    for (const document of this.documents) {
+      if (!this.isExpired(document, now)) continue;
+      this.stageUnique(stage, document, null);
+      stage.byId.delete(document.id);
+      stage.changes.push({ type: 'delete', id: document.id, before: document, after: null, expired: true, actor: 'ttl' });
+      stage.dirty = true;
+      expired++;
+    }
+    return expired;
+  }
+
+  // Instante de expiração (ms) conforme options.ttl; null = não expira
+  expiresAt(document) {
+    const value = resolvePath(document, this.ttl.field)[0];
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) return null;
+    return this.ttl.seconds ? time + this.ttl.seconds * 1000 : time;
+  }
+
+  isExpired(document, now = Date.now()) {
+    if (!this.ttl) return false;
+    const expiresAt = this.expiresAt(document);
+    return expiresAt !== null && expiresAt <= now;
+  }
+
+  // Só os documentos ainda válidos (sem TTL, a própria lista)
+  live(documents) {
+    if (!this.ttl) return documents;
+    const now = Date.now();
+    return documents.filter(document => !this.isExpired(document, now));
+  }
+
+  // Documentos da cópia de trabalho na ordem da coleção (novos no final)
+  stagedDocuments(stage) {
+    return [...this.documents.map(doc => doc.id), ...stage.inserted]
+      .filter(id => stage.byId.has(id))
+      .map(id => stage.byId.get(id));
+  }
+
+  async applyOperation(stage, operation) {
+    const [type, spec = {}] = Object.entries(operation || {})[0] || [];
+    switch (type) {
+      case 'insertOne': {
+        const document = this.prepareInsert(spec.document);
+        if (stage.byId.has(document.id)) {
+          throw new UniqueConstraintError(this.collectionName, 'id', document.id);
+        }
+        this.stageUnique(stage, null, document);
+        stage.byId.set(document.id, document);
+        stage.inserted.push(document.id);
+        stage.changes.push({ type: 'insert', id: document.id, before: null, after: document });
+        stage.dirty = true;
+        return { type, insertedId: document.id, documents: [document] };
+      }
+      case 'updateOne':
+      case 'updateMany':
+      case 'replaceOne': {
+        const targets = this.stageMatches(stage, spec.filter, type === 'updateMany' ? Infinity : 1);
+        const documents = [];
+        let modifiedCount = 0;
+        for (const current of targets) {
+          this.checkVersion(current, spec.expectedVersion);
+          const next = type === 'replaceOne'
+            ? this.prepareReplace(current, clone(spec.replacement))
+            : await this.prepareUpdate(current, spec.update, spec);
+          if (next !== current) {
+            this.stageUnique(stage, current, next);
+            stage.byId.set(next.id, next);
+            stage.changes.push({ type: 'update', id: next.id, before: current, after: next });
+            stage.dirty = true;
+            modifiedCount++;
+          }
+          documents.push(next);
+        }
+        return { type, matchedCount: targets.length, modifiedCount, documents };
+      }
+      case 'deleteOne':
+      case 'deleteMany': {
+        const targets = this.stageMatches(stage, spec.filter, type === 'deleteOne' ? 1 : Infinity);
+        for (const current of targets) {
+          this.checkVersion(current, spec.expectedVersion);
+          this.stageUnique(stage, current, null);
+          stage.byId.delete(current.id);
+          stage.changes.push({ type: 'delete', id: current.id, before: current, after: null });
+          stage.dirty = true;
+        }
+        return { type, deletedCount: targets.length, documents: targets };
+      }
+      default:
+        throw new InvalidUpdateError(`Operação de lote não suportada: ${type}`);
+    }
+  }
+
+  prepareInsert(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new InvalidUpdateError('Documento deve ser um objeto');
+    }
+    const now = new Date().toISOString();
+    const document = {
+      id: data.id || uuidv4(),
+      ...clone(data),
+      createdAt: data.createdAt || now,
+      updatedAt: now,
+      _version: 1
+    };
+    this.validateDocument(document);
+    return document;
+  }
+
+  // Controle otimista de concorrência (expectedVersion ausente = sem verificação)
+  checkVersion(current, expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) return;
+    if (versionOf(current) !== expectedVersion) {
+      throw new VersionConflictError(this.collectionName, current.id, expectedVersion, versionOf(current));
+    }
+  }
+
+  // Devolve o próprio `current` quando o update não altera nada
+  async prepareUpdate(current, update, options = {}) {
+    const changes = typeof update === 'function' ? await update(clone(current)) : update;
+    if (!changes) {
+      return current;
+    }
+    return this.prepareReplace(current, applyUpdate(current, changes, options));
+  }
+
+  // Novo conteúdo completo do documento; id, createdAt e versão continuam do banco
+  prepareReplace(current, replacement) {
+    if (replacement === null || typeof replacement !== 'object' || Array.isArray(replacement)) {
+      throw new InvalidUpdateError('Documento deve ser um objeto');
+    }
+    const next = {
+      ...replacement,
+      id: current.id, // Preservar ID
+      createdAt: current.createdAt, // Preservar data de criação
+      updatedAt: current.updatedAt,
+      _version: current._version // Versão só muda pelo banco
+    };
+    if (JSON.stringify(next) === JSON.stringify(current)) {
+      return current;
+    }
+    next.updatedAt = new Date().toISOString();
+    next._version = versionOf(current) + 1;
+    this.validateDocument(next);
+    return next;
+  }
+
+  // Documentos da cópia de trabalho que atendem ao filtro
+  stageMatches(stage, filter = {}, limit = Infinity) {
+    if (Object.keys(filter).length === 1 && ['string', 'number'].includes(typeof filter.id)) {
+      const document = stage.byId.get(filter.id);
+      return document ? [document] : [];
+    }
+    let documents;
+    if (stage.dirty) {
+      // lote já alterou a coleção: índices do cache estão defasados
+      documents = this.stagedDocuments(stage).filter(doc => this.matchesIndexed(doc, filter));
+    } else {
+      const plan = this.planQuery(filter);
+      documents = plan.documents.filter(doc => this.matchesFilter(doc, plan.filter));
+    }
+    return documents.slice(0, limit);
+  }
+
+  // Mantém os índices únicos da cópia de trabalho e barra duplicatas
+  stageUnique(stage, previous, next) {
+    for (const [index, entries] of stage.unique) {
+      if (previous) {
+        for (const key of this.indexKeys(index, previous)) {
+          const ids = entries.get(key);
+          if (ids) ids.delete(previous.id);
+        }
+      }
+      if (!next) continue;
+      for (const key of this.indexKeys(index, next)) {
+        const ids = entries.get(key) || new Set();
+        if ([...ids].some(id => id !== next.id)) {
+          throw new UniqueConstraintError(this.collectionName, index.field, key);
+        }
+        ids.add(next.id);
+        entries.set(key, ids);
+      }
+    }
+  }
+
+  // `changes` (alterações do lote gravado) permite atualizar o índice textual
+  // só nos documentos afetados; sem elas ele é refeito por completo
+  loadCache(documents, changes) {
+    this.documents = documents;
+    this.byId = new Map(documents.map(doc => [doc.id, doc]));
+    this.positions = new Map(documents.map((doc, i) => [doc.id, i]));
+    for (const index of this.indexes.values()) {
+      try {
+        this.buildIndex(index);
+      } catch (error) {
+        // dados antigos já violam o índice: mantém como não-único
+        console.warn(`[db] ${error.message}; índice ${index.field} mantido como não-único`);
+        index.unique = false;
+        this.buildIndex(index);
+      }
+    }
+    if (this.textIndex && changes) {
+      for (const { id, after } of changes) {
+        if (after) this.textIndex.add(after);
+        else this.textIndex.remove(id);
+      }
+    } else if (this.textIndex) {
+      this.textIndex.rebuild(documents);
+    }
+  }
+
+  // Chaves de um documento num índice (arrays indexam cada elemento)
+  indexKeys(index, document) {
+    const values = resolvePath(document, index.field).flat();
+    return [...new Set(values
+      .filter(v => ['string', 'number', 'boolean'].includes(typeof v))
+      .map(v => this.normalizeKey(index, v)))];
+  }
+
+  normalizeKey(index, value) {
+    return index.caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value;
+  }
+
+  buildIndex(index) {
+    index.entries = new Map();
+    for (const document of this.documents) {
+      for (const key of this.indexKeys(index, document)) {
+        const ids = index.entries.get(key) || new Set();
+        if (index.unique && ids.size > 0) {
+          throw new UniqueConstraintError(this.collectionName, index.field, key);
+        }
+        ids.add(document.id);
+        index.entries.set(key, ids);
+      }
+    }
+  }
+
+  // Valores procurados numa condição resolvível por índice (igualdade, $eq, $in)
+  indexLookupValues(condition) {
+    const indexable = v => ['string', 'number', 'boolean'].includes(typeof v);
+    if (indexable(condition)) {
+      return [condition];
+    }
+    if (condition && typeof condition === 'object' && Object.keys(condition).length === 1) {
+      if (Array.isArray(condition.$in) && condition.$in.every(indexable)) return condition.$in;
+      if (indexable(condition.$eq)) return [condition.$eq];
+    }
     return null;
+  }
+
+  // Escolhe os candidatos de um filtro usando os índices declarados.
+  // Igualdade, $eq e $in em campos indexados viram lookup; o restante do filtro
+  // é verificado documento a documento. Em índices caseInsensitive a igualdade
+  // é resolvida pelo próprio índice (ignora maiúsculas/minúsculas)
+  planQuery(filter = {}) {
+    let candidates = null;
+    const residual = { ...filter };
+
+    for (const [field, condition] of Object.entries(filter)) {
+      const index = this.indexes.get(field);
+      const values = index ? this.indexLookupValues(condition) : null;
+      if (!values) continue;
+      const ids = new Set();
+      for (const value of values) {
+        for (const id of index.entries.get(this.normalizeKey(index, value)) || []) {
+          ids.add(id);
+        }
+      }
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+      if (index.caseInsensitive) delete residual[field];
+    }
+
+    if (!candidates) {
+      return { documents: this.live(this.documents), filter };
+    }
+    const documents = [...candidates]
+      .sort((a, b) => this.positions.get(a) - this.positions.get(b))
+      .map(id => this.byId.get(id));
+    return { documents: this.live(documents), filter: residual };
+  }
+
+  // Mesma semântica do planQuery sem usar as entradas do índice (cópias de trabalho)
+  matchesIndexed(document, filter = {}) {
+    const residual = { ...filter };
+    for (const [field, condition] of Object.entries(filter)) {
+      const index = this.indexes.get(field);
+      const values = index && index.caseInsensitive ? this.indexLookupValues(condition) : null;
+      if (!values) continue;
+      const keys = this.indexKeys(index, document);
+      if (!values.some(value => keys.includes(this.normalizeKey(index, value)))) return false;
+      delete residual[field];
+    }
+    return this.matchesFilter(document, residual);
+  }
+
+  // Arquivo <coleção>_index.json: entradas por id e por campo indexado
+  async persistIndex() {
+    try {
+      const index = { documents: {}, indexes: {} };
+      for (const document of this.documents) {
+        index.documents[document.id] = {
+          id: document.id,
+          updatedAt: document.updatedAt
+        };
+      }
+      for (const { field, unique, caseInsensitive, entries } of this.indexes.values()) {
+        index.indexes[field] = { unique, caseInsensitive, entries: {} };
+        for (const [key, ids] of entries) {
+          index.indexes[field].entries[key] = [...ids];
+        }
+      }
+      await this.storage.saveIndex(index);
+    } catch (error) {
+      console.error('Erro ao atualizar índice:', error);
     }
-    documents[index] = {
-    ...documents[index],
-    ...updates,
-    id: documents[index].id, // Preservar ID
-    createdAt: documents[index].createdAt, // Preservar data de criação
-    updatedAt: new Date().toISOString()
+  }
+
+  // Change feed (em disco, <coleção>_changes.ndjson): uma alteração por linha,
+  // com seq crescente. Linhas truncadas são descartadas na leitura
+  async loadChangeLog() {
+    await this.readChangeLog();
+    await this.rewriteChangeLog();
+  }
+
+  async readChangeLog() {
+    const entries = await this.storage.loadChanges();
+    this.changeLog = entries.slice(-this.changeLogSize);
+    this.sequence = entries.length > 0 ? entries[entries.length - 1].seq : 0;
+  }
+
+  async rewriteChangeLog() {
+    await this.storage.replaceChanges(this.changeLog);
+  }
+
+  // Registra as alterações de um lote gravado e notifica os ouvintes
+  async recordChanges(changes, actor) {
+    const timestamp = new Date().toISOString();
+    const entries = changes.map(change => ({
+      seq: ++this.sequence,
+      collection: this.collectionName,
+      timestamp,
+      ...(actor !== undefined && { actor }),
+      ...change
+    }));
+    try {
+      await this.storage.appendChanges(entries);
+      this.changeLog.push(...entries);
+      // compacta o arquivo quando passa do dobro da retenção
+      if (this.changeLog.length > 2 * this.changeLogSize) {
+        this.changeLog = this.changeLog.slice(-this.changeLogSize);
+        await this.rewriteChangeLog();
+      }
+    } catch (error) {
+      console.error('Erro ao gravar change feed:', error);
+    }
+    if (this.historyDb) {
+      await this.recordHistory(entries);
+    }
+    for (const entry of entries) {
+      this.notify(entry.type, entry);
+      this.notify('change', entry);
+    }
+  }
+
+  // Uma revisão por alteração: { documentId, revision, type, version, actor,
+  // timestamp, seq, diff }. revision cresce por documento (inclusive depois de
+  // excluído e recriado); só as historyOptions.limit mais recentes ficam
+  async recordHistory(entries) {
+    const { limit, exclude } = this.historyOptions;
+    const strip = (document) => {
+      if (!document) return {};
+      const copy = { ...document };
+      for (const field of [...HISTORY_IGNORED, ...exclude]) delete copy[field];
+      return copy;
     };
-    await this.writeAll(documents);
-    await this.updateIndex(documents[index]);
-    return documents[index];
+    try {
+      const latest = new Map();
+      const revisions = [];
+      for (const { id, seq, type, before, after, actor = null, timestamp } of entries) {
+        if (!latest.has(id)) {
+          const [last] = await this.historyDb.find({ documentId: id }, { sort: { revision: -1 }, limit: 1 });
+          latest.set(id, last ? last.revision : 0);
+        }
+        const revision = latest.get(id) + 1;
+        latest.set(id, revision);
+        revisions.push({
+          id: `${id}@${revision}`,
+          documentId: id,
+          revision,
+          type,
+          version: after ? versionOf(after) : null,
+          actor,
+          timestamp,
+          seq,
+          diff: diff(strip(before), strip(after))
+        });
+      }
+      await this.historyDb.insertMany(revisions);
+      const pruned = [...latest]
+        .filter(([, revision]) => revision > limit)
+        .map(([documentId, revision]) => ({ deleteMany: { filter: { documentId, revision: { $lte: revision - limit } } } }));
+      if (pruned.length > 0) await this.historyDb.bulkWrite(pruned);
     } catch (error) {
-    console.error('Erro ao atualizar documento:', error);
-    throw error;
-}
-}
-// Deletar documento
-async delete(id) {
-try {
-const documents = await this.readAll();
-const index = documents.findIndex(doc => doc.id === id);
-if (index === -1) {
-return false;
-}
-documents.splice(index, 1);
-await this.writeAll(documents);
-await this.removeFromIndex(id);
-return true;
-} catch (error) {
-console.error('Erro ao deletar documento:', error);
-throw error;
-}
-}
-// Busca de texto
-async search(query, fields = []) {
-try {
-const documents = await this.readAll();
-const searchTerm = query.toLowerCase();
-return documents.filter(doc => {
-// Se campos específicos foram fornecidos, buscar apenas neles
-if (fields.length > 0) {
-return fields.some(field => {
-const value = this.getNestedValue(doc, field);
-return value &&
-value.toString().toLowerCase().includes(searchTerm);
-});
-}
-// Buscar em todos os campos de string do documento
-return this.searchInObject(doc, searchTerm);
-});
-} catch (error) {
-console.error('Erro na busca:', error);
-throw error;
-}
-}
-// Métodos auxiliares
-async readAll() {
-try {
-return await fs.readJson(this.filePath);
-} catch (error) {
-return [];
-}
-}
-async writeAll(documents) {
-    await fs.writeJson(this.filePath, documents, { spaces: 2 });
-}
-async updateIndex(document) {
-try {
-const index = await fs.readJson(this.indexPath);
-index[document.id] = {
-id: document.id,
-updatedAt: document.updatedAt
-};
-await fs.writeJson(this.indexPath, index, { spaces: 2 });
-} catch (error) {
-console.error('Erro ao atualizar índice:', error);
-}
-}
-async removeFromIndex(id) {
-try {
-const index = await fs.readJson(this.indexPath);
-delete index[id];
-await fs.writeJson(this.indexPath, index, { spaces: 2 });
-} catch (error) {
-console.error('Erro ao remover do índice:', error);
-}
-}
-matchesFilter(document, filter) {
-return Object.entries(filter).every(([key, value]) => {
-const docValue = this.getNestedValue(document, key);
-if (typeof value === 'object' && value !== null) {
-// Operadores especiais
-if (value.$regex) {
-const regex = new RegExp(value.$regex, value.$options || 'i');
-return regex.test(docValue);
-}
-if (value.$in) {
-return value.$in.includes(docValue);
-}
-if (value.$gt) {
-return docValue > value.$gt;
-}
-if (value.$lt) {
-return docValue < value.$lt;
-}
-if (value.$gte) {
-return docValue >= value.$gte;
-}
-if (value.$lte) {
-return docValue <= value.$lte;
-}
-}
-return docValue === value;
-});
-}
-getNestedValue(obj, path) {
-return path.split('.').reduce((current, key) => {
-    return current && current[key] !== undefined ? current[key] :
-undefined;
-}, obj);
-}
-sortDocuments(documents, sortOptions) {
-return documents.sort((a, b) => {
-for (const [field, direction] of Object.entries(sortOptions)) {
-const valueA = this.getNestedValue(a, field);
-const valueB = this.getNestedValue(b, field);
-let comparison = 0;
-if (valueA < valueB) comparison = -1;
-if (valueA > valueB) comparison = 1;
-if (comparison !== 0) {
-return direction === -1 ? -comparison : comparison;
-}
-}
-return 0;
-});
-}
-searchInObject(obj, searchTerm) {
-for (const value of Object.values(obj)) {
-if (typeof value === 'string' &&
-value.toLowerCase().includes(searchTerm)) {
-return true;
-}
-if (typeof value === 'object' && value !== null &&
-this.searchInObject(value, searchTerm)) {
-return true;
-}
-}
-return false;
-}
+      console.error('Erro ao gravar histórico:', error);
+    }
+  }
+
+  // Revisões de um documento, da mais recente à mais antiga (options.limit)
+  async history(id, options = {}) {
+    if (!this.historyDb) {
+      throw new DatabaseError(`Histórico não habilitado em ${this.collectionName}`, 'HISTORY_DISABLED');
+    }
+    const revisions = await this.historyDb.find({ documentId: id }, { sort: { revision: -1 }, limit: options.limit });
+    return revisions.map(({ documentId, revision, type, version, actor, timestamp, diff: changes }) =>
+      ({ documentId, revision, type, version, actor, timestamp, diff: changes }));
+  }
+
+  // Volta o documento ao estado gravado na revisão `revision`, desfazendo as
+  // revisões posteriores a partir do estado atual. A volta é uma escrita nova
+  // (nova revisão e _version); um documento excluído é recriado e voltar para
+  // a revisão de uma exclusão exclui. options: actor e expectedVersion.
+  // Devolve o documento resultante (null se ficou excluído)
+  async revert(id, revision, options = {}) {
+    await this.ready;
+    const revisions = await this.history(id);
+    const target = revisions.find(r => r.revision === Number(revision));
+    if (!target) {
+      throw new DatabaseError(`Revisão ${revision} de ${id} não encontrada em ${this.collectionName}`, 'REVISION_NOT_FOUND');
+    }
+    const current = this.byId.get(id) || null;
+    if (current) this.checkVersion(current, options.expectedVersion);
+
+    let state = current && clone(current);
+    for (const later of revisions.filter(r => r.revision > target.revision)) {
+      if (later.type === 'insert') state = null;
+      else if (later.type === 'delete') state = revertDiff({}, later.diff);
+      else if (state) state = revertDiff(state, later.diff);
+      else throw new DatabaseError(`Histórico de ${id} inconsistente na revisão ${later.revision}`, 'REVISION_NOT_FOUND');
+    }
+
+    const expectedVersion = current ? versionOf(current) : undefined;
+    if (current && state) {
+      const result = await this.writeOne({ replaceOne: { filter: { id }, replacement: state, expectedVersion } }, options);
+      return clone(result.documents[0]);
+    }
+    if (current) {
+      await this.writeOne({ deleteOne: { filter: { id }, expectedVersion } }, options);
+      return null;
+    }
+    if (state) {
+      return this.create(state, options);
+    }
+    return null;
+  }
+
+  // Erro de um ouvinte não pode desfazer uma escrita já gravada
+  notify(event, entry) {
+    try {
+      this.emit(event, clone(entry));
+    } catch (error) {
+      console.error(`Erro em ouvinte de '${event}' (${this.collectionName}):`, error);
+    }
+  }
+
+  // Operadores de consulta: ver shared/queryEngine.js
+  matchesFilter(document, filter) {
+    return matchesFilter(document, filter);
+  }
+
+  getNestedValue(obj, path) {
+    return path.split('.').reduce((current, key) => {
+      return current && current[key] !== undefined ? current[key] :
+        undefined;
+    }, obj);
+  }
+
+  sortDocuments(documents, sortOptions) {
+    return documents.sort((a, b) => {
+      for (const [field, direction] of Object.entries(sortOptions)) {
+        const comparison = compareSortValues(
+          this.getNestedValue(a, field), this.getNestedValue(b, field));
+        if (comparison !== 0) {
+          return direction === -1 ? -comparison : comparison;
+        }
+      }
+      return 0;
+    });
+  }
+
+  // Cursor opaco: valores dos campos de ordenação do último documento da página
+  encodeCursor(document, sortOptions) {
+    const cursor = {
+      sort: sortOptions,
+      values: Object.keys(sortOptions).map(field => this.getNestedValue(document, field))
+    };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  decodeCursor(token, sortOptions) {
+    let cursor;
+    try {
+      cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (_) {
+      throw new InvalidQueryError('Cursor inválido');
+    }
+    if (!cursor || JSON.stringify(cursor.sort) !== JSON.stringify(sortOptions) ||
+      !Array.isArray(cursor.values)) {
+      throw new InvalidQueryError('Cursor não corresponde à ordenação da consulta');
+    }
+    return cursor.values;
+  }
+
+  compareToCursor(document, sortOptions, values) {
+    const fields = Object.entries(sortOptions);
+    for (let i = 0; i < fields.length; i++) {
+      const [field, direction] = fields[i];
+      const comparison = compareSortValues(this.getNestedValue(document, field), values[i]);
+      if (comparison !== 0) {
+        return direction === -1 ? -comparison : comparison;
+      }
+    }
+    return 0;
+  }
 }
-module.exports = JsonDatabase;    
\ No newline at end of file
+
+module.exports = JsonDatabase;
@@ -0,0 +1,177 @@
+// shared/aggregation.js
+// Pipeline de agregação no estilo MongoDB usado pelo JsonDatabase.aggregate().
+//
+// Estágios: $match (filtro do queryEngine), $unwind, $group, $sort, $project e
+// $limit, aplicados em ordem. Expressões '$campo.aninhado' leem o valor do
+// documento; outros valores são literais. Acumuladores do $group: $sum, $avg,
+// $min, $max, $count e $first.
+const { InvalidQueryError } = require('./dbErrors');
+const { matchesFilter, resolvePath, compareSortValues, project } = require('./queryEngine');
+
+const isFieldRef = (value) => typeof value === 'string' && value.startsWith('$');
+
+// '$a.b' -> valor do documento; arrays no meio do caminho devolvem a lista de valores
+function evaluate(document, expression) {
+  if (isFieldRef(expression)) {
+    const values = resolvePath(document, expression.slice(1));
+    return values.length === 1 ? values[0] : values.filter(v => v !== undefined);
+  }
+  if (expression && typeof expression === 'object' && !Array.isArray(expression)) {
+    const result = {};
+    for (const [key, nested] of Object.entries(expression)) result[key] = evaluate(document, nested);
+    return result;
+  }
+  return expression;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const present = (value) => value !== undefined && value !== null;
+
+// Cada acumulador: init() -> estado, step(estado, valor) -> estado, result(estado)
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    step: (total, value) => (isNumber(value) ? total + value : total),
+    result: total => total
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    step: (acc, value) => (isNumber(value) ? { total: acc.total + value, count: acc.count + 1 } : acc),
+    result: ({ total, count }) => (count > 0 ? total / count : null)
+  },
+  $min: {
+    init: () => undefined,
+    step: (min, value) => (present(value) && (min === undefined || compareSortValues(value, min) < 0) ? value : min),
+    result: min => (min === undefined ? null : min)
+  },
+  $max: {
+    init: () => undefined,
+    step: (max, value) => (present(value) && (max === undefined || compareSortValues(value, max) > 0) ? value : max),
+    result: max => (max === undefined ? null : max)
+  },
+  $count: {
+    init: () => 0,
+    step: count => count + 1,
+    result: count => count
+  },
+  $first: {
+    init: () => ({ seen: false, value: null }),
+    step: (acc, value) => (acc.seen ? acc : { seen: true, value: value === undefined ? null : value }),
+    result: acc => acc.value
+  }
+};
+
+function parseAccumulator(field, spec) {
+  const entries = spec && typeof spec === 'object' ? Object.entries(spec) : [];
+  if (entries.length !== 1 || !ACCUMULATORS[entries[0][0]]) {
+    throw new InvalidQueryError(`$group: acumulador inválido em ${field} (use ${Object.keys(ACCUMULATORS).join(', ')})`);
+  }
+  const [operator, expression] = entries[0];
+  return { field, accumulator: ACCUMULATORS[operator], expression };
+}
+
+function group(documents, spec) {
+  if (!spec || typeof spec !== 'object' || !('_id' in spec)) {
+    throw new InvalidQueryError('$group exige _id (use null para agrupar tudo)');
+  }
+  const { _id: key, ...fields } = spec;
+  const accumulators = Object.entries(fields).map(([field, value]) => parseAccumulator(field, value));
+
+  const groups = new Map(); // chave serializada -> { _id, estados }, na ordem de aparição
+  for (const document of documents) {
+    const id = evaluate(document, key);
+    const groupId = id === undefined ? null : id;
+    const serialized = JSON.stringify(groupId);
+    if (!groups.has(serialized)) {
+      groups.set(serialized, { _id: groupId, states: accumulators.map(a => a.accumulator.init()) });
+    }
+    const entry = groups.get(serialized);
+    accumulators.forEach(({ accumulator, expression }, i) => {
+      entry.states[i] = accumulator.step(entry.states[i], evaluate(document, expression));
+    });
+  }
+  return [...groups.values()].map(({ _id, states }) => {
+    const result = { _id };
+    accumulators.forEach(({ field, accumulator }, i) => { result[field] = accumulator.result(states[i]); });
+    return result;
+  });
+}
+
+function unwind(documents, spec) {
+  const { path, preserveNullAndEmptyArrays = false } = typeof spec === 'string' ? { path: spec } : spec || {};
+  if (!isFieldRef(path) || path.includes('.')) {
+    throw new InvalidQueryError('$unwind exige um campo de primeiro nível, ex: \'$items\'');
+  }
+  const field = path.slice(1);
+  const result = [];
+  for (const document of documents) {
+    const value = document[field];
+    if (Array.isArray(value) && value.length > 0) {
+      value.forEach(element => result.push({ ...document, [field]: element }));
+    } else if (present(value) && !Array.isArray(value)) {
+      result.push(document);
+    } else if (preserveNullAndEmptyArrays) {
+      const { [field]: _, ...rest } = document;
+      result.push(rest);
+    }
+  }
+  return result;
+}
+
+// { campo: 1 } inclui, { campo: 0 } exclui (ver queryEngine.project) e
+// { novo: '$caminho' } calcula. _id (saída do $group) vem, exceto com _id: 0
+function projectStage(document, spec) {
+  const computed = Object.entries(spec).filter(([, value]) => isFieldRef(value));
+  const plain = Object.fromEntries(Object.entries(spec).filter(([, value]) => !isFieldRef(value)));
+  const { _id: keepId, ...paths } = plain;
+  if (computed.length === 0 && Object.values(paths).every(value => !value)) {
+    return project(document, plain); // só exclusões
+  }
+  const result = {};
+  if (document._id !== undefined && keepId !== 0 && keepId !== false) result._id = document._id;
+  if (Object.keys(paths).length > 0) Object.assign(result, project(document, paths));
+  for (const [field, expression] of computed) result[field] = evaluate(document, expression);
+  return result;
+}
+
+function sortStage(documents, spec) {
+  const fields = Object.entries(spec || {});
+  return [...documents].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const comparison = compareSortValues(evaluate(a, `$${field}`), evaluate(b, `$${field}`));
+      if (comparison !== 0) return direction < 0 ? -comparison : comparison;
+    }
+    return 0;
+  });
+}
+
+const STAGES = {
+  $match: (documents, filter) => documents.filter(document => matchesFilter(document, filter)),
+  $unwind: unwind,
+  $group: group,
+  $sort: sortStage,
+  $project: (documents, spec) => documents.map(document => projectStage(document, spec)),
+  $limit: (documents, limit) => {
+    if (!Number.isInteger(limit) || limit < 0) throw new InvalidQueryError('$limit exige um inteiro >= 0');
+    return documents.slice(0, limit);
+  }
+};
+
+// Executa o pipeline sobre `documents` sem alterá-los
+function runPipeline(documents, pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new InvalidQueryError('aggregate exige um array de estágios');
+  }
+  return pipeline.reduce((current, stage) => {
+    const entries = stage && typeof stage === 'object' ? Object.entries(stage) : [];
+    if (entries.length !== 1 || !STAGES[entries[0][0]]) {
+      throw new InvalidQueryError(`Estágio de agregação inválido: ${JSON.stringify(stage)}`);
+    }
+    const [name, spec] = entries[0];
+    return STAGES[name](current, spec);
+  }, documents);
+}
+
+module.exports = {
+  runPipeline
+};
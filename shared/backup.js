@@ -0,0 +1,355 @@
+// shared/backup.js
+// Snapshots (backup) e restauração das coleções do JsonDatabase.
+//
+// Um snapshot é um par de arquivos no diretório de backups:
+//   <id>.json.gz        { manifest, collections: [{ service, collection, sequence, documents }] }
+//   <id>.manifest.json  id, data, sha256/tamanho do arquivo e sha256 de cada coleção
+// Para a cópia ser consistente entre coleções, as escritas de todas ficam
+// pausadas (pauseWrites) enquanto os documentos são lidos; leituras seguem
+// normalmente. O `sequence` guardado é o seq do change feed no momento da
+// cópia: a restauração "point-in-time" de uma coleção parte do snapshot e
+// reaplica as alterações do change feed até o instante pedido.
+//
+// Serviços em execução expõem as rotas /admin/backups (mountBackupRoutes),
+// protegidas pelo cabeçalho X-Admin-Token = ADMIN_TOKEN. Com os serviços
+// parados (outro processo não enxerga o cache deles):
+//   node shared/backup.js create [--label=nome]
+//   node shared/backup.js list
+//   node shared/backup.js verify <id>
+//   node shared/backup.js restore <id> [--collection=serviço/coleção] [--at=ISO-8601]
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const JsonDatabase = require('./JsonDatabase');
+const { BackupError, ChangeFeedExpiredError } = require('./dbErrors');
+const { writeFileAtomic, writeJsonAtomic } = require('./storage/FileStorage');
+const { migrationStateDb } = require('./migrations');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_DIR = process.env.BACKUP_DIR || path.join(ROOT, 'backups');
+const SNAPSHOT_ID = /^[\w.-]+$/;
+const COLLECTION_FILE = /^(.+)\.(json|ndjson)$/;
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+const archivePath = (dir, id) => path.join(dir, `${id}.json.gz`);
+const manifestPath = (dir, id) => path.join(dir, `${id}.manifest.json`);
+const qualifiedName = ({ service, collection }) => `${service}/${collection}`;
+
+/**
+ * Copia as coleções de uma vez, com as escritas pausadas.
+ * @param {Array<{service: string, db: JsonDatabase}>} targets coleções incluídas
+ * @param {object} [options]
+ * @param {string} [options.dir] diretório dos backups (padrão: BACKUP_DIR ou ./backups)
+ * @param {string} [options.label='snapshot'] prefixo do id
+ * @returns {Promise<object>} o manifesto gravado
+ */
+async function createSnapshot(targets, options = {}) {
+  const { dir = DEFAULT_DIR, label = 'snapshot' } = options;
+  const resumes = [];
+  let collections;
+  let createdAt;
+  try {
+    // sempre na mesma ordem, para dois snapshots simultâneos não se travarem
+    for (const { db } of targets) resumes.push(await db.pauseWrites());
+    createdAt = new Date().toISOString();
+    collections = await Promise.all(targets.map(async ({ service, db }) => ({
+      service,
+      collection: db.collectionName,
+      sequence: db.sequence,
+      documents: await db.readAll()
+    })));
+  } finally {
+    resumes.forEach(resume => resume());
+  }
+
+  await fs.ensureDir(dir);
+  let id = `${label}-${createdAt.replace(/[:.]/g, '-')}`;
+  for (let n = 2; await fs.pathExists(manifestPath(dir, id)); n++) {
+    id = `${label}-${createdAt.replace(/[:.]/g, '-')}-${n}`;
+  }
+  const manifest = {
+    id,
+    createdAt,
+    collections: collections.map(({ service, collection, sequence, documents }) => ({
+      service,
+      collection,
+      sequence,
+      count: documents.length,
+      sha256: sha256(JSON.stringify(documents))
+    }))
+  };
+  const archive = await gzip(JSON.stringify({ manifest, collections }));
+  await writeFileAtomic(archivePath(dir, id), archive);
+  // o manifesto vai por último: sem ele o snapshot não aparece na listagem
+  const stored = { ...manifest, archive: path.basename(archivePath(dir, id)), bytes: archive.length, sha256: sha256(archive) };
+  await writeJsonAtomic(manifestPath(dir, id), stored);
+  return stored;
+}
+
+// Manifestos dos snapshots, do mais recente ao mais antigo
+async function listSnapshots(dir = DEFAULT_DIR) {
+  if (!(await fs.pathExists(dir))) return [];
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.manifest.json'));
+  const manifests = [];
+  for (const name of names) {
+    try {
+      manifests.push(await fs.readJson(path.join(dir, name)));
+    } catch (error) {
+      console.warn(`[backup] manifesto ilegível ignorado: ${name} (${error.message})`);
+    }
+  }
+  return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Lê um snapshot conferindo o checksum do arquivo e de cada coleção
+async function readSnapshot(id, dir = DEFAULT_DIR) {
+  if (typeof id !== 'string' || !SNAPSHOT_ID.test(id)) {
+    throw new BackupError(`Id de snapshot inválido: ${id}`, id);
+  }
+  let manifest;
+  let archive;
+  try {
+    manifest = await fs.readJson(manifestPath(dir, id));
+    archive = await fs.readFile(archivePath(dir, id));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new BackupError(`Snapshot não encontrado: ${id}`, id, 'BACKUP_NOT_FOUND');
+    throw new BackupError(`Snapshot ${id} ilegível: ${error.message}`, id, 'BACKUP_CORRUPT');
+  }
+  if (sha256(archive) !== manifest.sha256 || archive.length !== manifest.bytes) {
+    throw new BackupError(`Snapshot ${id} corrompido: checksum do arquivo não confere`, id, 'BACKUP_CORRUPT');
+  }
+  let content;
+  try {
+    content = JSON.parse(await gunzip(archive));
+  } catch (error) {
+    throw new BackupError(`Snapshot ${id} corrompido: ${error.message}`, id, 'BACKUP_CORRUPT');
+  }
+  for (const expected of manifest.collections) {
+    const entry = content.collections.find(c => qualifiedName(c) === qualifiedName(expected));
+    if (!entry || sha256(JSON.stringify(entry.documents)) !== expected.sha256) {
+      throw new BackupError(`Snapshot ${id} corrompido: coleção ${qualifiedName(expected)} não confere`, id, 'BACKUP_CORRUPT');
+    }
+  }
+  return { manifest, collections: content.collections };
+}
+
+// Documentos do snapshot + alterações do change feed com seq posterior à cópia
+// e timestamp até `at`
+async function documentsAt(db, entry, at, id) {
+  let changes;
+  try {
+    changes = await db.changes({ since: entry.sequence });
+  } catch (error) {
+    if (error instanceof ChangeFeedExpiredError) {
+      throw new BackupError(`Change feed de ${qualifiedName(entry)} não cobre mais o intervalo desde o snapshot ${id}`, id);
+    }
+    throw error;
+  }
+  const documents = new Map(entry.documents.map(document => [document.id, document]));
+  for (const change of changes) {
+    if (Date.parse(change.timestamp) > at) break;
+    if (change.type === 'delete') documents.delete(change.id);
+    else documents.set(change.id, change.after);
+  }
+  return [...documents.values()];
+}
+
+/**
+ * Restaura um snapshot sobre as coleções (todas do snapshot, ou só `collection`).
+ * @param {Array<{service: string, db: JsonDatabase}>} targets coleções restauráveis
+ * @param {string} id snapshot
+ * @param {object} [options]
+ * @param {string} [options.dir] diretório dos backups
+ * @param {string} [options.collection] 'serviço/coleção' (ou só 'coleção') a restaurar
+ * @param {string} [options.at] data ISO: estado da coleção nesse instante (exige collection)
+ * @returns {Promise<Array<{service, collection, insertedCount, updatedCount, deletedCount}>>}
+ */
+async function restoreSnapshot(targets, id, options = {}) {
+  const { dir = DEFAULT_DIR, collection } = options;
+  const snapshot = await readSnapshot(id, dir);
+  let at;
+  if (options.at !== undefined) {
+    at = Date.parse(options.at);
+    if (!collection) {
+      throw new BackupError('Restauração point-in-time exige uma única coleção', id);
+    }
+    if (Number.isNaN(at)) {
+      throw new BackupError(`Data inválida: ${options.at}`, id);
+    }
+    if (at < Date.parse(snapshot.manifest.createdAt)) {
+      throw new BackupError(`${options.at} é anterior ao snapshot ${id} (${snapshot.manifest.createdAt})`, id);
+    }
+  }
+
+  const wanted = snapshot.collections.filter(entry => !collection
+    || qualifiedName(entry) === collection
+    || entry.collection === collection);
+  if (wanted.length === 0) {
+    throw new BackupError(`Snapshot ${id} não contém ${collection}`, id, 'BACKUP_NOT_FOUND');
+  }
+  const plan = wanted
+    .map(entry => ({
+      entry,
+      target: targets.find(t => t.service === entry.service && t.db.collectionName === entry.collection)
+    }))
+    .filter(({ target }) => target);
+  if (plan.length === 0) {
+    throw new BackupError(`Nenhuma coleção do snapshot ${id} pertence a este serviço`, id, 'BACKUP_NOT_FOUND');
+  }
+
+  const results = [];
+  for (const { entry, target } of plan) {
+    const documents = at === undefined ? entry.documents : await documentsAt(target.db, entry, at, id);
+    const counts = await target.db.restore(documents, { actor: `restore:${id}` });
+    results.push({ service: entry.service, collection: entry.collection, ...counts });
+    console.log(`[backup] ${qualifiedName(entry)} restaurada de ${id}${options.at ? ` em ${options.at}` : ''}`);
+  }
+  return results;
+}
+
+// Inclui o histórico de revisões das coleções e a coleção _migrations de cada
+// diretório de banco: restaurar dados antigos sem a versão de migração
+// correspondente deixaria os dois fora de sincronia. A _migrations é a mesma
+// instância que migrate() usa, para a restauração não divergir do cache dele
+function withMigrationState(service, databases) {
+  const targets = databases.flatMap(db => [db, db.historyDb].filter(Boolean)).map(db => ({ service, db }));
+  const dbPaths = new Set(databases.map(db => db.dbPath));
+  for (const dbPath of dbPaths) {
+    if (!databases.some(db => db.dbPath === dbPath && db.collectionName === '_migrations')) {
+      targets.push({ service, db: migrationStateDb(dbPath) });
+    }
+  }
+  return targets;
+}
+
+const BACKUP_STATUS = { BACKUP_NOT_FOUND: 404, BACKUP_CORRUPT: 422 };
+
+/**
+ * Rotas administrativas de backup do serviço:
+ *   GET  /admin/backups              snapshots que contêm coleções do serviço
+ *   POST /admin/backups              cria um snapshot das coleções do serviço
+ *   POST /admin/backups/:id/restore  body opcional { collection, at }
+ * Sem ADMIN_TOKEN configurado as rotas respondem 403.
+ */
+function mountBackupRoutes(app, { service, databases, dir = DEFAULT_DIR }) {
+  const targets = withMigrationState(service, databases);
+
+  const adminOnly = (req, res, next) => {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) return res.status(403).json({ error: 'Rotas administrativas desabilitadas (defina ADMIN_TOKEN)' });
+    if (req.headers['x-admin-token'] !== token) return res.status(401).json({ error: 'X-Admin-Token inválido' });
+    next();
+  };
+  const fail = (res, e) => {
+    if (e instanceof BackupError) {
+      return res.status(BACKUP_STATUS[e.code] || 400).json({ error: e.message, code: e.code });
+    }
+    console.error('[backup]', e);
+    return res.status(500).json({ error: 'Erro no backup' });
+  };
+
+  app.get('/admin/backups', adminOnly, async (_req, res) => {
+    try {
+      const snapshots = await listSnapshots(dir);
+      res.json(snapshots.filter(manifest => manifest.collections.some(c => c.service === service)));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  app.post('/admin/backups', adminOnly, async (req, res) => {
+    try {
+      const label = (req.body && req.body.label) || service;
+      if (!SNAPSHOT_ID.test(label)) return res.status(400).json({ error: 'label aceita letras, números, ".", "_" e "-"' });
+      res.status(201).json(await createSnapshot(targets, { dir, label }));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  app.post('/admin/backups/:id/restore', adminOnly, async (req, res) => {
+    try {
+      const { collection, at } = req.body || {};
+      const restored = await restoreSnapshot(targets, req.params.id, { dir, collection, at });
+      res.json({ snapshot: req.params.id, restored });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+}
+
+// CLI: todas as coleções de services/*/database
+function offlineTargets() {
+  const servicesDir = path.join(ROOT, 'services');
+  const targets = [];
+  for (const service of fs.readdirSync(servicesDir).sort()) {
+    const dbPath = path.join(servicesDir, service, 'database');
+    if (!fs.existsSync(dbPath)) continue;
+    const files = fs.readdirSync(dbPath);
+    const collections = new Set(files
+      .filter(name => !name.endsWith('_index.json') && !name.endsWith('_changes.ndjson'))
+      .map(name => COLLECTION_FILE.exec(name))
+      .filter(Boolean)
+      .map(([, collection]) => collection));
+    for (const collection of [...collections].sort()) {
+      // coleções com arquivo .ndjson usam o adaptador de log
+      const storage = files.includes(`${collection}.ndjson`) ? 'log' : 'json';
+      targets.push({ service, db: new JsonDatabase(dbPath, collection, { storage }) });
+    }
+  }
+  return targets;
+}
+
+async function main([command, ...args]) {
+  const id = args.find(arg => !arg.startsWith('--'));
+  const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  switch (command) {
+    case 'create': {
+      const manifest = await createSnapshot(offlineTargets(), { label: option('label') });
+      console.log(`Snapshot ${manifest.id}: ${manifest.collections.length} coleções, ${manifest.bytes} bytes`);
+      for (const c of manifest.collections) console.log(`  ${qualifiedName(c)}: ${c.count} documentos`);
+      break;
+    }
+    case 'list':
+      for (const manifest of await listSnapshots()) {
+        console.log(`${manifest.id}  ${manifest.createdAt}  ${manifest.collections.map(qualifiedName).join(', ')}`);
+      }
+      break;
+    case 'verify': {
+      const { manifest } = await readSnapshot(id);
+      console.log(`Snapshot ${manifest.id} íntegro (${manifest.collections.length} coleções)`);
+      break;
+    }
+    case 'restore':
+      for (const result of await restoreSnapshot(offlineTargets(), id, { collection: option('collection'), at: option('at') })) {
+        console.log(`  ${qualifiedName(result)}: ${result.insertedCount} inseridos, ${result.updatedCount} alterados, ${result.deletedCount} removidos`);
+      }
+      break;
+    default:
+      console.error('Uso: node shared/backup.js create [--label=nome] | list | verify <id> | restore <id> [--collection=serviço/coleção] [--at=ISO-8601]');
+      process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  readSnapshot,
+  restoreSnapshot,
+  mountBackupRoutes
+};
@@ -0,0 +1,111 @@
+// shared/dbErrors.js
+// Erros tipados do JsonDatabase: os serviços usam `instanceof` (ou `code`)
+// para traduzir cada caso no status HTTP adequado
+
+class DatabaseError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Violação de índice único (ex: email já cadastrado)
+class UniqueConstraintError extends DatabaseError {
+  constructor(collection, field, value) {
+    super(`Valor duplicado para ${collection}.${field}: ${value}`, 'UNIQUE_VIOLATION');
+    this.collection = collection;
+    this.field = field;
+    this.value = value;
+  }
+}
+
+// Filtro mal formado (operador desconhecido, argumento inválido)
+class InvalidQueryError extends DatabaseError {
+  constructor(message) {
+    super(message, 'INVALID_QUERY');
+  }
+}
+
+// Update mal formado (operador desconhecido, tipo incompatível com o operador)
+class InvalidUpdateError extends DatabaseError {
+  constructor(message) {
+    super(message, 'INVALID_UPDATE');
+  }
+}
+
+// Lote abortado: nenhuma operação foi gravada. `results` traz o resultado das
+// operações anteriores (descartadas) e `cause` o erro da que falhou
+class BulkWriteError extends DatabaseError {
+  constructor(operationIndex, cause, results = []) {
+    super(`Operação ${operationIndex} do lote falhou: ${cause.message}`, 'BULK_WRITE_FAILED');
+    this.operationIndex = operationIndex;
+    this.cause = cause;
+    this.results = results;
+  }
+}
+
+// Posição pedida ao change feed já saiu da retenção: o consumidor precisa
+// recarregar o estado completo antes de voltar a acompanhar
+class ChangeFeedExpiredError extends DatabaseError {
+  constructor(collection, since, oldest) {
+    super(`Change feed de ${collection} não tem mais alterações após ${since} (mais antiga: ${oldest})`, 'CHANGE_FEED_EXPIRED');
+    this.collection = collection;
+    this.since = since;
+    this.oldest = oldest;
+  }
+}
+
+// Documento rejeitado pelo schema da coleção.
+// `errors`: [{ path, keyword, message }] — pronto para devolver num 400
+class ValidationError extends DatabaseError {
+  constructor(collection, errors) {
+    super(`Documento inválido para ${collection}: ${errors.map(e => e.message).join('; ')}`, 'VALIDATION_FAILED');
+    this.collection = collection;
+    this.errors = errors;
+  }
+}
+
+// Controle otimista: o documento mudou desde a versão que o cliente leu
+class VersionConflictError extends DatabaseError {
+  constructor(collection, id, expectedVersion, currentVersion) {
+    super(`Conflito de versão em ${collection}/${id}: esperada ${expectedVersion}, atual ${currentVersion}`, 'VERSION_CONFLICT');
+    this.collection = collection;
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+// Migração de dados que não pôde ser carregada ou aplicada. Com `cause`, o
+// lote da migração foi abortado e a coleção ficou na versão anterior
+class MigrationError extends DatabaseError {
+  constructor(message, { collection, version, cause } = {}) {
+    super(message, 'MIGRATION_FAILED');
+    this.collection = collection;
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+// Snapshot de backup inexistente (BACKUP_NOT_FOUND), corrompido
+// (BACKUP_CORRUPT: checksum não confere) ou pedido de restauração inválido
+class BackupError extends DatabaseError {
+  constructor(message, snapshotId, code = 'BACKUP_INVALID') {
+    super(message, code);
+    this.snapshotId = snapshotId;
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  UniqueConstraintError,
+  InvalidQueryError,
+  InvalidUpdateError,
+  BulkWriteError,
+  ChangeFeedExpiredError,
+  ValidationError,
+  VersionConflictError,
+  MigrationError,
+  BackupError
+};
@@ -0,0 +1,22 @@
+// shared/etag.js
+// ETag/If-Match a partir do _version dos documentos do JsonDatabase.
+// O ETag é a própria versão entre aspas ("3"); If-Match ausente ou '*'
+// significa "sem verificação" e as escritas seguem como antes.
+
+const etagFor = (document) => `"${document._version || 0}"`;
+
+// Versão esperada pelo cliente: undefined quando não há pré-condição, -1 quando
+// o cabeçalho não traz nenhuma ETag nossa (nunca casa, resultando em 412)
+function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '*') return undefined;
+  for (const tag of header.split(',')) {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(tag.trim());
+    if (match) return Number(match[1]);
+  }
+  return -1;
+}
+
+module.exports = {
+  etagFor,
+  parseIfMatch
+};
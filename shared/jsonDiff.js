@@ -0,0 +1,54 @@
+// shared/jsonDiff.js
+// Diferença entre duas versões de um documento, usada no histórico de revisões.
+//
+// Cada operação tem `op` ('add', 'remove' ou 'replace') e `path` (JSON Pointer,
+// ex: '/category/name'); guarda o valor novo (`value`) e o anterior (`oldValue`),
+// então a diferença também serve para desfazer a alteração. Objetos são
+// comparados campo a campo; arrays e valores simples, por inteiro.
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapeKey = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapeKey = (key) => key.replace(/~1/g, '/').replace(/~0/g, '~');
+
+function diff(before, after, path = '', ops = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of Object.keys(before)) {
+      if (!(key in after)) ops.push({ op: 'remove', path: `${path}/${escapeKey(key)}`, oldValue: before[key] });
+    }
+    for (const key of Object.keys(after)) {
+      const keyPath = `${path}/${escapeKey(key)}`;
+      if (!(key in before)) ops.push({ op: 'add', path: keyPath, value: after[key] });
+      else diff(before[key], after[key], keyPath, ops);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    ops.push({ op: 'replace', path, value: after, oldValue: before });
+  }
+  return ops;
+}
+
+// Objeto pai e chave final de um JSON Pointer (cria objetos intermediários)
+function locate(document, path) {
+  const keys = path.split('/').slice(1).map(unescapeKey);
+  const last = keys.pop();
+  let parent = document;
+  for (const key of keys) {
+    if (!isPlainObject(parent[key])) parent[key] = {};
+    parent = parent[key];
+  }
+  return { parent, key: last };
+}
+
+// Desfaz as operações de `ops` sobre `document` (alterado no lugar)
+function revert(document, ops) {
+  for (const { op, path, oldValue } of [...ops].reverse()) {
+    const { parent, key } = locate(document, path);
+    if (op === 'add') delete parent[key];
+    else parent[key] = oldValue;
+  }
+  return document;
+}
+
+module.exports = {
+  diff,
+  revert
+};
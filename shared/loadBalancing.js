@@ -0,0 +1,132 @@
+// shared/loadBalancing.js
+// Estratégias de balanceamento usadas pelo serviceRegistry.lookup().
+//
+//   round-robin        uma instância de cada vez, em ordem
+//   weighted           round-robin ponderado por meta.weight (padrão 1; 0 = sem tráfego),
+//                      no modo "suave" do nginx: pesos 3/1 dão a, a, b, a e não a, a, a, b
+//   random             sorteio uniforme
+//   least-outstanding  a instância com menos requisições em andamento; quem
+//                      encaminha avisa início/fim com acquire(url) -> release()
+//
+// O estado (contadores, pesos correntes, requisições em andamento) é de cada
+// processo: o gateway balanceia o próprio tráfego.
+
+// estratégia -> método do Balancer que escolhe a instância
+const PICKERS = {
+  'round-robin': 'roundRobin',
+  weighted: 'weighted',
+  random: 'random',
+  'least-outstanding': 'leastOutstanding'
+};
+const STRATEGIES = Object.keys(PICKERS);
+const DEFAULT_STRATEGY = 'round-robin';
+
+const weightOf = (instance) => {
+  const weight = Number(instance.meta && instance.meta.weight);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+};
+
+class Balancer {
+  constructor(strategy = DEFAULT_STRATEGY) {
+    this.setStrategy(strategy);
+    this.cursor = 0;
+    this.currentWeights = new Map(); // url -> peso corrente (weighted)
+    this.outstanding = new Map(); // url -> requisições em andamento
+    this.selected = new Map(); // url -> vezes escolhida
+    this.lastSelected = null;
+  }
+
+  setStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Estratégia de balanceamento desconhecida: ${strategy} (use ${STRATEGIES.join(', ')})`);
+    }
+    this.strategy = strategy;
+  }
+
+  // Escolhe uma das instâncias (já filtradas como saudáveis); null se não houver
+  pick(instances) {
+    if (instances.length === 0) return null;
+    const instance = this[PICKERS[this.strategy]](instances);
+    if (!instance) return null;
+    this.selected.set(instance.url, (this.selected.get(instance.url) || 0) + 1);
+    this.lastSelected = instance.url;
+    return instance;
+  }
+
+  roundRobin(instances) {
+    return instances[this.cursor++ % instances.length];
+  }
+
+  weighted(instances) {
+    const eligible = instances.filter(instance => weightOf(instance) > 0);
+    if (eligible.length === 0) return null;
+    let total = 0;
+    let best = null;
+    for (const instance of eligible) {
+      const weight = weightOf(instance);
+      const current = (this.currentWeights.get(instance.url) || 0) + weight;
+      this.currentWeights.set(instance.url, current);
+      total += weight;
+      if (!best || current > this.currentWeights.get(best.url)) best = instance;
+    }
+    this.currentWeights.set(best.url, this.currentWeights.get(best.url) - total);
+    return best;
+  }
+
+  random(instances) {
+    return instances[Math.floor(Math.random() * instances.length)];
+  }
+
+  // Empates alternam entre as instâncias (senão a primeira levaria tudo com carga baixa)
+  leastOutstanding(instances) {
+    const load = (instance) => this.outstanding.get(instance.url) || 0;
+    const min = Math.min(...instances.map(load));
+    const candidates = instances.filter(instance => load(instance) === min);
+    return candidates[this.cursor++ % candidates.length];
+  }
+
+  // Marca uma requisição em andamento; a função devolvida encerra (pode ser
+  // chamada mais de uma vez)
+  acquire(url) {
+    this.outstanding.set(url, (this.outstanding.get(url) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = (this.outstanding.get(url) || 1) - 1;
+      if (remaining > 0) this.outstanding.set(url, remaining);
+      else this.outstanding.delete(url);
+    };
+  }
+
+  // Situação do balanceamento para /registry
+  stats(instances) {
+    return {
+      strategy: this.strategy,
+      lastSelected: this.lastSelected,
+      instances: instances.map(instance => ({
+        url: instance.url,
+        healthy: instance.healthy,
+        weight: weightOf(instance),
+        selected: this.selected.get(instance.url) || 0,
+        outstanding: this.outstanding.get(instance.url) || 0
+      }))
+    };
+  }
+}
+
+// LB_STRATEGY=<padrão> e LB_STRATEGIES="item-service=weighted,list-service=random"
+function strategiesFromEnv(env = process.env) {
+  const perService = {};
+  for (const entry of String(env.LB_STRATEGIES || '').split(',')) {
+    const [service, strategy] = entry.split('=').map(part => part && part.trim());
+    if (service && strategy) perService[service.toLowerCase()] = strategy;
+  }
+  return { defaultStrategy: env.LB_STRATEGY || DEFAULT_STRATEGY, perService };
+}
+
+module.exports = {
+  Balancer,
+  STRATEGIES,
+  strategiesFromEnv
+};
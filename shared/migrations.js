@@ -0,0 +1,206 @@
+// shared/migrations.js
+// Migrações versionadas das coleções do JsonDatabase.
+//
+// Cada migração é um arquivo NNN-descricao.js em <serviço>/migrations/<coleção>/
+// exportando up(doc) e down(doc): recebem uma cópia do documento e devolvem o
+// documento transformado, ou null para removê-lo. A versão é o prefixo
+// numérico do arquivo. Cada migração grava num único bulkWrite (tudo ou nada)
+// e a versão de cada coleção fica registrada na coleção _migrations do mesmo
+// diretório do banco. Como uma queda entre a gravação e o registro repete a
+// migração, up/down devem ser idempotentes.
+//
+// Os serviços chamam migrate() na inicialização, antes do seed. Manualmente,
+// com o serviço parado (outro processo não enxerga o cache dele):
+//   node shared/migrations.js <pasta-do-serviço> [--dry-run] [--to=N]
+const fs = require('fs-extra');
+const path = require('path');
+const JsonDatabase = require('./JsonDatabase');
+const { MigrationError } = require('./dbErrors');
+const { storageFromEnv } = require('./storage');
+
+const MIGRATION_FILE = /^(\d+)-(.+)\.js$/;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Uma instância de _migrations por diretório de banco: migrate() e as rotas de
+// backup precisam ler e gravar pelo mesmo cache, senão um lado fica com a
+// versão antiga em memória
+const stateDbs = new Map();
+
+function migrationStateDb(dbPath) {
+  const resolved = path.resolve(dbPath);
+  if (!stateDbs.has(resolved)) stateDbs.set(resolved, new JsonDatabase(resolved, '_migrations'));
+  return stateDbs.get(resolved);
+}
+
+// Migrações de uma pasta em ordem de versão (pasta ausente = nenhuma)
+function loadMigrations(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const migrations = fs.readdirSync(dir)
+    .filter(name => MIGRATION_FILE.test(name))
+    .map(name => {
+      const [, version, description] = MIGRATION_FILE.exec(name);
+      const { up, down } = require(path.join(dir, name));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new MigrationError(`Migração ${name} precisa exportar up(doc) e down(doc)`);
+      }
+      return { version: Number(version), name: description, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new MigrationError(`Versão de migração duplicada em ${dir}: ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Aplica up/down aos documentos e monta as operações do lote
+function transform(documents, migration, direction) {
+  const next = [];
+  const operations = [];
+  let modified = 0;
+  let deleted = 0;
+  for (const document of documents) {
+    const result = migration[direction](clone(document));
+    const expectedVersion = document._version || 0;
+    if (result === null) {
+      operations.push({ deleteOne: { filter: { id: document.id }, expectedVersion } });
+      deleted++;
+      continue;
+    }
+    const migrated = result === undefined ? document : result;
+    if (JSON.stringify(migrated) !== JSON.stringify(document)) {
+      operations.push({ replaceOne: { filter: { id: document.id }, replacement: migrated, expectedVersion } });
+      modified++;
+    }
+    next.push(migrated);
+  }
+  return { next, operations, modified, deleted };
+}
+
+/**
+ * Leva a coleção até a versão `to` (padrão: a mais recente).
+ * @param {JsonDatabase} db instância da coleção (a mesma usada pelo serviço)
+ * @param {string|Array} source pasta das migrações ou lista já carregada
+ * @param {object} [options]
+ * @param {number} [options.to] versão alvo; menor que a atual executa os down()
+ * @param {boolean} [options.dryRun=false] só calcula o que mudaria, sem gravar
+ * @param {JsonDatabase} [options.stateDb] onde registrar a versão (padrão: migrationStateDb(db.dbPath))
+ * @returns {Promise<{collection, from, to, dryRun, applied: Array}>}
+ */
+async function migrate(db, source, options = {}) {
+  const migrations = Array.isArray(source) ? source : loadMigrations(source);
+  const { dryRun = false } = options;
+  const stateDb = options.stateDb || migrationStateDb(db.dbPath);
+  const collection = db.collectionName;
+
+  const state = await stateDb.findById(collection);
+  const from = state ? state.version : 0;
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const target = options.to === undefined ? latest : Number(options.to);
+  if (!Number.isInteger(target) || target < 0) {
+    throw new MigrationError(`Versão alvo inválida para ${collection}: ${options.to}`, { collection });
+  }
+
+  const plan = target >= from
+    ? migrations
+      .filter(m => m.version > from && m.version <= target)
+      .map(m => ({ migration: m, direction: 'up', version: m.version }))
+    : migrations
+      .filter(m => m.version <= from && m.version > target)
+      .reverse()
+      .map(m => ({
+        migration: m,
+        direction: 'down',
+        // versão resultante: a migração anterior a esta (ou 0)
+        version: (migrations[migrations.indexOf(m) - 1] || { version: 0 }).version
+      }));
+
+  let documents = await db.readAll();
+  const applied = [];
+  for (const { migration, direction, version } of plan) {
+    const label = `${collection} ${String(migration.version).padStart(3, '0')}-${migration.name} (${direction})`;
+    let step;
+    try {
+      step = transform(documents, migration, direction);
+      if (!dryRun && step.operations.length > 0) {
+        await db.bulkWrite(step.operations);
+      }
+    } catch (error) {
+      throw new MigrationError(`Migração ${label} falhou: ${error.message}`, {
+        collection, version: migration.version, cause: error
+      });
+    }
+    applied.push({
+      version: migration.version,
+      name: migration.name,
+      direction,
+      modified: step.modified,
+      deleted: step.deleted
+    });
+    if (dryRun) {
+      documents = step.next;
+      continue;
+    }
+    documents = await db.readAll();
+    await recordVersion(stateDb, collection, version, { version: migration.version, name: migration.name, direction });
+    console.log(`[migrations] ${label}: ${step.modified} alterados, ${step.deleted} removidos`);
+  }
+  const to = plan.length > 0 ? plan[plan.length - 1].version : from;
+  return { collection, from, to, dryRun, applied };
+}
+
+async function recordVersion(stateDb, collection, version, entry) {
+  const applied = { ...entry, appliedAt: new Date().toISOString() };
+  if (await stateDb.findById(collection)) {
+    await stateDb.update(collection, { $set: { version }, $push: { history: applied } });
+  } else {
+    await stateDb.create({ id: collection, version, history: [applied] });
+  }
+}
+
+// CLI: migra todas as coleções com pasta em <serviço>/migrations
+async function main(args) {
+  const serviceDir = args.find(arg => !arg.startsWith('--'));
+  if (!serviceDir) {
+    console.error('Uso: node shared/migrations.js <pasta-do-serviço> [--dry-run] [--to=N]');
+    process.exit(1);
+  }
+  const dryRun = args.includes('--dry-run');
+  const toArg = args.find(arg => arg.startsWith('--to='));
+  const migrationsDir = path.resolve(serviceDir, 'migrations');
+  const dbPath = path.resolve(serviceDir, 'database');
+
+  const collections = fs.existsSync(migrationsDir)
+    ? fs.readdirSync(migrationsDir).filter(name => fs.statSync(path.join(migrationsDir, name)).isDirectory())
+    : [];
+  if (collections.length === 0) {
+    console.log(`Nenhuma migração em ${migrationsDir}`);
+    return;
+  }
+  for (const collection of collections) {
+    const db = new JsonDatabase(dbPath, collection, { storage: storageFromEnv() });
+    const result = await migrate(db, path.join(migrationsDir, collection), {
+      dryRun,
+      to: toArg ? toArg.slice('--to='.length) : undefined
+    });
+    console.log(`${dryRun ? '[dry-run] ' : ''}${collection}: versão ${result.from} -> ${result.to}`);
+    for (const step of result.applied) {
+      console.log(`  ${step.version}-${step.name} (${step.direction}): ${step.modified} alterados, ${step.deleted} removidos`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrate,
+  loadMigrations,
+  migrationStateDb
+};
@@ -0,0 +1,240 @@
+// shared/queryEngine.js
+// Avaliação de filtros no estilo MongoDB usada pelo JsonDatabase.
+//
+// Suporta, por campo: igualdade (com semântica "array contém"), $eq, $ne,
+// $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex/$options, $not,
+// $elemMatch, $size e $all — vários operadores no mesmo campo são combinados
+// com E lógico. No nível do filtro: $and, $or, $nor e $not.
+const { InvalidQueryError } = require('./dbErrors');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof RegExp) && !(value instanceof Date);
+
+// { $gte: 1, $lte: 5 } é expressão de operadores; { name: 'x' } é valor literal
+const isOperatorExpression = (value) =>
+  isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(k => k.startsWith('$'));
+
+// Datas no filtro são comparadas com as strings ISO armazenadas
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Lê um caminho com pontos atravessando arrays: 'items.itemId' em
+// { items: [{ itemId: 1 }, { itemId: 2 }] } devolve [1, 2]
+function resolvePath(obj, path) {
+  let values = [obj];
+  for (const key of path.split('.')) {
+    const next = [];
+    for (const current of values) {
+      if (current === null || current === undefined) {
+        next.push(undefined);
+      } else if (Array.isArray(current) && !/^\d+$/.test(key)) {
+        for (const element of current) {
+          next.push(element !== null && typeof element === 'object' ? element[key] : undefined);
+        }
+      } else {
+        next.push(typeof current === 'object' ? current[key] : undefined);
+      }
+    }
+    values = next;
+  }
+  return values;
+}
+
+// Candidatos de comparação: os próprios valores e, se forem arrays, seus elementos
+function expand(values) {
+  const candidates = [];
+  for (const value of values) {
+    candidates.push(value);
+    if (Array.isArray(value)) candidates.push(...value);
+  }
+  return candidates;
+}
+
+function equals(a, b) {
+  // campo ausente casa com null, como no MongoDB
+  if (b === null) return a === null || a === undefined;
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Só compara valores do mesmo tipo (número com número, string com string)
+function compare(a, b) {
+  if (typeof a !== typeof b || !['number', 'string'].includes(typeof a)) return null;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function toRegex(pattern, options) {
+  if (pattern instanceof RegExp) return pattern;
+  // sem $options a busca é case-insensitive (comportamento histórico do JsonDatabase)
+  return new RegExp(pattern, options === undefined ? 'i' : options);
+}
+
+const matchesRegex = (candidates, regex) =>
+  candidates.some(c => typeof c === 'string' && regex.test(c));
+
+const inList = (candidates, list) => {
+  if (!Array.isArray(list)) throw new InvalidQueryError('$in/$nin exigem um array');
+  return list.some(item => (item instanceof RegExp
+    ? matchesRegex(candidates, item)
+    : candidates.some(c => equals(c, normalize(item)))));
+};
+
+const compareAny = (values, arg, test) => expand(values).some(c => {
+  const result = compare(c, normalize(arg));
+  return result !== null && test(result);
+});
+
+const FIELD_OPERATORS = {
+  $eq: (values, arg) => expand(values).some(c => equals(c, normalize(arg))),
+  $ne: (values, arg) => !FIELD_OPERATORS.$eq(values, arg),
+  $gt: (values, arg) => compareAny(values, arg, r => r > 0),
+  $gte: (values, arg) => compareAny(values, arg, r => r >= 0),
+  $lt: (values, arg) => compareAny(values, arg, r => r < 0),
+  $lte: (values, arg) => compareAny(values, arg, r => r <= 0),
+  $in: (values, arg) => inList(expand(values), arg),
+  $nin: (values, arg) => !inList(expand(values), arg),
+  $exists: (values, arg) => values.some(v => v !== undefined) === Boolean(arg),
+  $regex: (values, arg, expression) => matchesRegex(expand(values), toRegex(arg, expression.$options)),
+  $options: () => true,
+  $not: (values, arg) => !matchesCondition(values, arg),
+  $size: (values, arg) => values.some(v => Array.isArray(v) && v.length === arg),
+  $all: (values, arg) => {
+    if (!Array.isArray(arg)) throw new InvalidQueryError('$all exige um array');
+    const candidates = expand(values);
+    return arg.every(item => candidates.some(c => equals(c, normalize(item))));
+  },
+  $elemMatch: (values, arg) => values.some(v => Array.isArray(v) && v.some(element =>
+    (isPlainObject(element) && !isOperatorExpression(arg)
+      ? matchesFilter(element, arg)
+      : matchesCondition([element], arg))))
+};
+
+// Avalia a condição de um campo sobre os valores resolvidos do documento
+function matchesCondition(values, condition) {
+  if (condition instanceof RegExp) {
+    return matchesRegex(expand(values), condition);
+  }
+  if (!isOperatorExpression(condition)) {
+    return FIELD_OPERATORS.$eq(values, condition);
+  }
+  return Object.entries(condition).every(([operator, arg]) => {
+    const evaluate = FIELD_OPERATORS[operator];
+    if (!evaluate) throw new InvalidQueryError(`Operador não suportado: ${operator}`);
+    return evaluate(values, arg, condition);
+  });
+}
+
+const LOGICAL_OPERATORS = {
+  $and: (document, clauses) => asClauses('$and', clauses).every(f => matchesFilter(document, f)),
+  $or: (document, clauses) => asClauses('$or', clauses).some(f => matchesFilter(document, f)),
+  $nor: (document, clauses) => !asClauses('$nor', clauses).some(f => matchesFilter(document, f)),
+  $not: (document, clause) => !matchesFilter(document, clause)
+};
+
+function asClauses(operator, clauses) {
+  if (!Array.isArray(clauses)) throw new InvalidQueryError(`${operator} exige um array de filtros`);
+  return clauses;
+}
+
+function matchesFilter(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key.startsWith('$')) {
+      const evaluate = LOGICAL_OPERATORS[key];
+      if (!evaluate) throw new InvalidQueryError(`Operador não suportado: ${key}`);
+      return evaluate(document, condition);
+    }
+    return matchesCondition(resolvePath(document, key), condition);
+  });
+}
+
+// Ordem total entre valores de tipos diferentes (usada em sort e cursores):
+// ausente/null < números < strings < booleanos < demais
+const TYPE_RANK = { undefined: 0, number: 1, string: 2, boolean: 3 };
+const typeRank = (value) => (value === null ? 0 : TYPE_RANK[typeof value] ?? 4);
+
+function compareSortValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  if (rankA === 4) return compare(JSON.stringify(a), JSON.stringify(b));
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Projeção: { name: 1, 'category.slug': 1 } inclui só esses campos (id sempre
+// vem, exceto com id: 0); { password: 0 } exclui. Não é possível misturar os modos
+function project(document, projection) {
+  const entries = Object.entries(projection || {});
+  if (!document || entries.length === 0) return document;
+  const modes = new Set(entries.filter(([key]) => key !== 'id').map(([, v]) => Boolean(v)));
+  if (modes.size > 1) {
+    throw new InvalidQueryError('Projeção não pode misturar inclusão e exclusão');
+  }
+  const inclusive = modes.size === 1 ? modes.has(true) : Boolean(projection.id);
+
+  if (!inclusive) {
+    const result = JSON.parse(JSON.stringify(document));
+    for (const [key, value] of entries) {
+      if (!value) excludePath(result, key.split('.'));
+    }
+    return result;
+  }
+  const result = {};
+  if (projection.id === undefined || projection.id) includePath(document, result, ['id']);
+  for (const [key, value] of entries) {
+    if (value && key !== 'id') includePath(document, result, key.split('.'));
+  }
+  return result;
+}
+
+// Copia um caminho de `source` para `target`; arrays de objetos são projetados elemento a elemento
+function includePath(source, target, segments) {
+  const [key, ...rest] = segments;
+  if (source === null || typeof source !== 'object' || !(key in source)) return;
+  const value = source[key];
+  if (rest.length === 0) {
+    target[key] = JSON.parse(JSON.stringify(value));
+  } else if (Array.isArray(value)) {
+    const existing = Array.isArray(target[key]) ? target[key] : [];
+    target[key] = value
+      .filter(element => element !== null && typeof element === 'object' && !Array.isArray(element))
+      .map((element, i) => {
+        const projected = existing[i] || {};
+        includePath(element, projected, rest);
+        return projected;
+      });
+  } else if (value !== null && typeof value === 'object') {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    includePath(value, target[key], rest);
+  }
+}
+
+function excludePath(target, segments) {
+  const [key, ...rest] = segments;
+  if (target === null || typeof target !== 'object') return;
+  if (Array.isArray(target) && !/^\d+$/.test(key)) {
+    target.forEach(element => excludePath(element, segments));
+  } else if (rest.length === 0) {
+    delete target[key];
+  } else {
+    excludePath(target[key], rest);
+  }
+}
+
+// Escapa texto livre para uso seguro em $regex
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  matchesFilter,
+  matchesCondition,
+  resolvePath,
+  isOperatorExpression,
+  compare,
+  compareSortValues,
+  project,
+  escapeRegex
+};
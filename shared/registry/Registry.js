@@ -0,0 +1,235 @@
+// shared/registry/Registry.js
+// Estado do service registry: instâncias por serviço e os health checks.
+// Usado pelo registry-service (um processo só faz os checks) e pelo modo
+// arquivo (_registry.json), que o recarrega e regrava a cada operação.
+//
+// Cada mudança vira um evento 'change' { type, service, instance }, com type
+// added | updated | removed | healthy | unhealthy (base do watch do registry).
+// load() compara com o estado anterior, então no modo arquivo as mudanças
+// feitas por outros processos também geram eventos.
+//
+// Health checks configuráveis por instância em meta.health (tudo opcional):
+//   path                liveness, padrão /health: falhando, a instância para de
+//                       contar como vista e sai pelo TTL
+//   readinessPath       readiness: falhando, a instância sai do roteamento mas
+//                       continua registrada enquanto a liveness responder
+//   interval, timeout   ms entre checks (padrão 30s) e por requisição (3s)
+//   unhealthyThreshold  falhas seguidas para ficar unhealthy (3)
+//   healthyThreshold    sucessos seguidos para voltar a healthy (1)
+// Um check passa com 2xx e JSON cujo status (se houver) indica saúde; sem
+// status, basta o campo service. Sinais passivos (erros do proxy do gateway,
+// via report) e heartbeats com healthy: false contam como checks com os mesmos
+// limiares; um heartbeat nunca marca a instância como healthy.
+const EventEmitter = require('events');
+const axios = require('axios');
+
+const CHECK_INTERVAL_MS = 30_000; // 30s entre health checks (padrão por instância)
+const CHECK_TICK_MS = 5_000;      // frequência do loop que roda os checks vencidos
+const FAIL_OPEN_AFTER = 3;        // 3 falhas seguidas marca como unhealthy
+const INSTANCE_TTL_MS = 5 * 60_000; // 5 min sem heartbeat => remover
+
+const DEFAULT_HEALTH = {
+  path: '/health',
+  readinessPath: null,
+  interval: CHECK_INTERVAL_MS,
+  timeout: 3000,
+  unhealthyThreshold: FAIL_OPEN_AFTER,
+  healthyThreshold: 1
+};
+const HEALTHY_STATUSES = ['ok', 'healthy', 'up', 'ready', 'pass'];
+
+// Normaliza chave do serviço
+const key = (name) => String(name || '').trim().toLowerCase();
+
+// Configuração de health check da instância (meta.health sobre os padrões)
+function healthConfig(inst) {
+  const declared = (inst.meta && inst.meta.health) || {};
+  const config = { ...DEFAULT_HEALTH };
+  for (const field of ['path', 'readinessPath']) {
+    if (typeof declared[field] === 'string' && declared[field].startsWith('/')) config[field] = declared[field];
+  }
+  for (const field of ['interval', 'timeout', 'unhealthyThreshold', 'healthyThreshold']) {
+    const value = Number(declared[field]);
+    if (Number.isFinite(value) && value > 0) config[field] = value;
+  }
+  return config;
+}
+
+function isHealthyBody(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (data.status === undefined) return Boolean(data.service);
+  return HEALTHY_STATUSES.includes(String(data.status).toLowerCase());
+}
+
+class Registry extends EventEmitter {
+  constructor(data = {}) {
+    super();
+    this.setMaxListeners(0); // um listener por assinante do watch
+    this.services = {};
+    this.load(data);
+  }
+
+  // data: { services: { nome: [{ url, healthy, fails, lastSeen, lastOk, meta }] }, updatedAt }
+  load(data) {
+    const previous = this.services;
+    this.services = (data && data.services) || {};
+    this.updatedAt = (data && data.updatedAt) || new Date().toISOString();
+    if (this.listenerCount('change') > 0) this.emitDiff(previous, this.services);
+  }
+
+  notify(type, service, instance) {
+    this.emit('change', { type, service: key(service), instance: { ...instance } });
+  }
+
+  // Eventos que levam do estado `previous` ao `next`
+  emitDiff(previous, next) {
+    for (const name of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      const before = new Map((previous[name] || []).map(i => [i.url, i]));
+      const after = new Map((next[name] || []).map(i => [i.url, i]));
+      for (const [url, instance] of after) {
+        const old = before.get(url);
+        if (!old) this.notify('added', name, instance);
+        else if (old.healthy !== instance.healthy) this.notify(instance.healthy ? 'healthy' : 'unhealthy', name, instance);
+        else if (JSON.stringify(old.meta) !== JSON.stringify(instance.meta)) this.notify('updated', name, instance);
+      }
+      for (const [url, instance] of before) {
+        if (!after.has(url)) this.notify('removed', name, instance);
+      }
+    }
+  }
+
+  toJSON() {
+    return { services: this.services, updatedAt: this.updatedAt };
+  }
+
+  touch() {
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Busca lista de instâncias de um serviço (só leitura: serviço desconhecido
+  // não ganha entrada; quem cria a entrada é o register)
+  instances(name) {
+    return this.services[key(name)] || [];
+  }
+
+  // Adiciona ou atualiza instância
+  register(name, url, meta = {}) {
+    const list = (this.services[key(name)] ||= []);
+    const now = Date.now();
+    const idx = list.findIndex(i => i.url === url);
+    const instance = idx >= 0
+      ? { ...list[idx], healthy: true, fails: 0, lastSeen: now, lastOk: now, meta: { ...list[idx].meta, ...meta } }
+      : { url, healthy: true, fails: 0, lastSeen: now, lastOk: now, meta };
+    if (idx >= 0) list[idx] = instance;
+    else list.push(instance);
+    this.touch();
+    this.notify(idx >= 0 ? 'updated' : 'added', name, instance);
+    return instance;
+  }
+
+  // Instância avisando que continua no ar; null se não estiver registrada.
+  // status.healthy (opcional) é a saúde informada pela própria instância:
+  // true só renova a liveness (voltar a healthy depende dos checks) e false
+  // conta como um check falho, com os mesmos limiares
+  heartbeat(name, url, status = {}) {
+    const instance = this.instances(name).find(i => i.url === url);
+    if (!instance) return null;
+    const wasHealthy = instance.healthy;
+    instance.lastSeen = Date.now();
+    if (status.healthy === false) this.applyResult(instance, false, 'instância informou falha');
+    this.touch();
+    if (instance.healthy !== wasHealthy) this.notify(instance.healthy ? 'healthy' : 'unhealthy', name, instance);
+    return instance;
+  }
+
+  deregister(name, url) {
+    const list = this.instances(name);
+    const removed = list.find(i => i.url === url);
+    if (!removed) return false;
+    this.services[key(name)] = list.filter(i => i.url !== url);
+    this.touch();
+    this.notify('removed', name, removed);
+    return true;
+  }
+
+  // Resultado de um sinal passivo (ex: erro do proxy do gateway) sobre a
+  // instância; null se não estiver registrada
+  report(name, url, { ok, error } = {}) {
+    const instance = this.instances(name).find(i => i.url === url);
+    if (!instance) return null;
+    const wasHealthy = instance.healthy;
+    this.applyResult(instance, Boolean(ok), error);
+    this.touch();
+    if (instance.healthy !== wasHealthy) this.notify(instance.healthy ? 'healthy' : 'unhealthy', name, instance);
+    return instance;
+  }
+
+  // Aplica o resultado de um check (ativo ou passivo) com os limiares da instância
+  applyResult(inst, ok, error) {
+    const config = healthConfig(inst);
+    if (ok) {
+      inst.fails = 0;
+      inst.successes = (inst.successes || 0) + 1;
+      inst.lastOk = Date.now();
+      inst.lastError = null;
+      if (!inst.healthy && inst.successes >= config.healthyThreshold) inst.healthy = true;
+    } else {
+      inst.successes = 0;
+      inst.fails = (inst.fails || 0) + 1;
+      inst.lastError = error || 'falha';
+      if (inst.fails >= config.unhealthyThreshold) inst.healthy = false;
+    }
+  }
+
+  async probe(inst, path, timeout) {
+    const { data } = await axios.get(`${inst.url}${path}`, { timeout });
+    if (!isHealthyBody(data)) throw new Error(`${path} respondeu status ${data && data.status}`);
+  }
+
+  // Health check de uma instância: liveness e, se declarada, readiness
+  async checkInstance(inst) {
+    const config = healthConfig(inst);
+    inst.lastCheck = Date.now();
+    let error = null;
+    inst.live = false;
+    inst.ready = false;
+    try {
+      await this.probe(inst, config.path, config.timeout);
+      inst.live = true;
+      inst.lastSeen = Date.now();
+      if (config.readinessPath) await this.probe(inst, config.readinessPath, config.timeout);
+      inst.ready = true;
+    } catch (e) {
+      error = e.message;
+    }
+    this.applyResult(inst, inst.ready, error);
+  }
+
+  // Checa as instâncias com check vencido (intervalo de cada uma) e remove
+  // as “podres” (TTL estourado)
+  async checkAll() {
+    for (const name of Object.keys(this.services)) {
+      const list = this.instances(name);
+      const due = list.filter(inst => Date.now() - (inst.lastCheck || 0) >= healthConfig(inst).interval);
+      await Promise.all(due.map(async (inst) => {
+        const wasHealthy = inst.healthy;
+        await this.checkInstance(inst);
+        if (inst.healthy !== wasHealthy) this.notify(inst.healthy ? 'healthy' : 'unhealthy', name, inst);
+      }));
+      const now = Date.now();
+      this.services[name] = list.filter(inst => now - (inst.lastSeen || 0) <= INSTANCE_TTL_MS);
+      for (const inst of list) {
+        if (!this.services[name].includes(inst)) this.notify('removed', name, inst);
+      }
+    }
+    this.touch();
+  }
+}
+
+module.exports = {
+  Registry,
+  key,
+  healthConfig,
+  CHECK_INTERVAL_MS,
+  CHECK_TICK_MS
+};
@@ -0,0 +1,91 @@
+// shared/registry/fileBackend.js
+// Modo arquivo (fallback sem registry-service): o estado fica em
+// _registry.json, que cada processo relê antes e regrava depois de cada
+// operação, e cada processo roda o próprio loop de health checks.
+// O watch acompanha o arquivo (fs.watchFile) para ver as mudanças dos outros processos.
+const fs = require('fs-extra');
+const path = require('path');
+const { Registry, CHECK_TICK_MS } = require('./Registry');
+
+const WATCH_INTERVAL_MS = 1000;
+
+function createFileBackend(filePath = process.env.REGISTRY_FILE || path.join(__dirname, '..', '_registry.json')) {
+  const registry = new Registry();
+
+  // Util: carrega o JSON do disco (se existir)
+  async function load() {
+    try {
+      if (await fs.pathExists(filePath)) {
+        const data = await fs.readJson(filePath);
+        if (data && data.services) registry.load(data);
+      } else {
+        await persist();
+      }
+    } catch (e) {
+      console.warn('[registry] falha ao carregar arquivo:', e.message);
+    }
+  }
+
+  async function persist() {
+    await fs.outputJson(filePath, registry.toJSON(), { spaces: 2 });
+  }
+
+  // Recarrega, aplica a alteração e regrava
+  async function mutate(change) {
+    await load();
+    const result = change();
+    await persist();
+    return result;
+  }
+
+  // Loop de health checks (roda em cada processo que usa o modo arquivo)
+  let timer = null;
+  function startHealthChecks() {
+    if (timer) return;
+    timer = setInterval(async () => {
+      try {
+        await load(); // traz o estado mais novo
+        await registry.checkAll();
+        await persist();
+      } catch (e) {
+        console.warn('[registry] health loop error:', e.message);
+      }
+    }, CHECK_TICK_MS);
+    timer.unref(); // não segura o processo (ex: scripts de migração e backup)
+  }
+
+  // Assina os eventos do registry; devolve a função que cancela
+  function watch(listener) {
+    registry.on('change', listener);
+    if (registry.listenerCount('change') === 1) {
+      fs.watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, () => load());
+      load();
+    }
+    return () => {
+      registry.off('change', listener);
+      if (registry.listenerCount('change') === 0) fs.unwatchFile(filePath);
+    };
+  }
+
+  return {
+    mode: 'file',
+    register: (name, url, meta) => mutate(() => registry.register(name, url, meta)),
+    heartbeat: (name, url, status) => mutate(() => registry.heartbeat(name, url, status)),
+    report: (name, url, result) => mutate(() => registry.report(name, url, result)),
+    deregister: (name, url) => mutate(() => registry.deregister(name, url)),
+    instances: async (name) => {
+      await load();
+      return registry.instances(name);
+    },
+    list: async () => {
+      await load();
+      return registry.toJSON();
+    },
+    watch,
+    startHealthChecks
+  };
+}
+
+module.exports = {
+  createFileBackend
+};
@@ -0,0 +1,140 @@
+// shared/registry/httpBackend.js
+// Cliente do registry-service (REGISTRY_URL). Os health checks ficam só no
+// registry-service. Se ele ficar fora do ar, lookups usam a última lista de
+// instâncias recebida de cada serviço.
+// O watch é uma conexão SSE em GET /watch, refeita com backoff se cair; a cada
+// (re)conexão o listener recebe { type: 'resync' }, pois eventos podem ter se perdido.
+const axios = require('axios');
+const { key } = require('./Registry');
+
+const WATCH_RETRY_MS = 1000;
+const WATCH_MAX_RETRY_MS = 30_000;
+
+function createHttpBackend(baseUrl, options = {}) {
+  const http = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    timeout: options.timeout || 2000,
+    headers: options.token ? { 'X-Registry-Token': options.token } : {}
+  });
+  const lastKnown = new Map(); // serviço -> instâncias da última resposta
+  const servicePath = (name) => `/services/${encodeURIComponent(key(name))}`;
+
+  async function instances(name) {
+    try {
+      const { data } = await http.get(servicePath(name));
+      lastKnown.set(key(name), data.instances);
+      return data.instances;
+    } catch (e) {
+      if (e.response) throw e;
+      if (!lastKnown.has(key(name))) throw e;
+      console.warn(`[registry] ${baseUrl} indisponível (${e.message}); usando última lista de ${name}`);
+      return lastKnown.get(key(name));
+    }
+  }
+
+  // Assina os eventos do registry-service; devolve a função que cancela
+  function watch(listener) {
+    let stopped = false;
+    let stream = null;
+    let timer = null;
+    let retry = WATCH_RETRY_MS;
+
+    function reconnect() {
+      if (stopped || timer) return;
+      stream = null;
+      listener({ type: 'resync', service: null });
+      timer = setTimeout(() => {
+        timer = null;
+        connect();
+      }, retry);
+      timer.unref();
+      retry = Math.min(retry * 2, WATCH_MAX_RETRY_MS);
+    }
+
+    async function connect() {
+      try {
+        const response = await http.get('/watch', { responseType: 'stream', timeout: 0 });
+        if (stopped) return response.data.destroy();
+        stream = response.data;
+        retry = WATCH_RETRY_MS;
+        listener({ type: 'resync', service: null });
+        let buffer = '';
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          // mensagens SSE terminam em linha vazia; linhas ":" são só keep-alive
+          while ((end = buffer.indexOf('\n\n')) >= 0) {
+            const message = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const data = message.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+            if (!data) continue;
+            let event;
+            try {
+              event = JSON.parse(data);
+            } catch {
+              continue;
+            }
+            listener(event);
+          }
+        });
+        stream.on('end', reconnect);
+        stream.on('error', reconnect);
+      } catch (e) {
+        console.warn(`[registry] watch em ${baseUrl} falhou (${e.message}); tentando de novo em ${retry}ms`);
+        reconnect();
+      }
+    }
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.destroy();
+    };
+  }
+
+  return {
+    mode: 'http',
+    async register(name, url, meta = {}) {
+      const { data } = await http.post(`${servicePath(name)}/instances`, { url, meta });
+      return data;
+    },
+    // null quando o registry não conhece a instância (ex: reiniciou): registre de novo
+    async heartbeat(name, url, status = {}) {
+      try {
+        const { data } = await http.post(`${servicePath(name)}/heartbeat`, { url, healthy: status.healthy });
+        return data;
+      } catch (e) {
+        if (e.response && e.response.status === 404) return null;
+        throw e;
+      }
+    },
+    // sinal passivo { ok, error }; null quando o registry não conhece a instância
+    async report(name, url, result = {}) {
+      try {
+        const { data } = await http.post(`${servicePath(name)}/report`, { url, ok: Boolean(result.ok), error: result.error });
+        return data;
+      } catch (e) {
+        if (e.response && e.response.status === 404) return null;
+        throw e;
+      }
+    },
+    async deregister(name, url) {
+      const { data } = await http.delete(`${servicePath(name)}/instances`, { params: { url } });
+      return data.removed;
+    },
+    instances,
+    async list() {
+      const { data } = await http.get('/services');
+      return data;
+    },
+    watch,
+    // os health checks rodam no registry-service
+    startHealthChecks() {}
+  };
+}
+
+module.exports = {
+  createHttpBackend
+};
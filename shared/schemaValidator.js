@@ -0,0 +1,117 @@
+// shared/schemaValidator.js
+// Validação de documentos com um subconjunto de JSON Schema:
+// type (inclui 'integer' e listas de tipos), enum, const, required, properties,
+// additionalProperties, items, minItems, maxItems, uniqueItems, minimum,
+// maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern
+// e format ('email', 'date-time', 'uri').
+//
+// validate() devolve a lista de erros [{ path, keyword, message }] (vazia = válido)
+
+const FORMATS = {
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  'date-time': (v) => !Number.isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  uri: (v) => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(v)
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  // NaN/Infinity não são números válidos (viram null no JSON)
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+  null: (v) => v === null
+};
+
+const TYPE_LABELS = {
+  string: 'texto',
+  number: 'número',
+  integer: 'inteiro',
+  boolean: 'booleano',
+  object: 'objeto',
+  array: 'lista',
+  null: 'nulo'
+};
+
+const label = (path) => path || 'documento';
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function validate(schema, value, path = '', errors = []) {
+  if (!schema || typeof schema !== 'object') return errors;
+  const fail = (keyword, message) => errors.push({ path: label(path), keyword, message: `${label(path)} ${message}` });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type] && TYPE_CHECKS[type](value))) {
+      fail('type', `deve ser ${types.map(t => TYPE_LABELS[t] || t).join(' ou ')}`);
+      return errors; // demais regras não fazem sentido com o tipo errado
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => sameValue(option, value))) {
+    fail('enum', `deve ser um de: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    fail('const', `deve ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `deve ser >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `deve ser <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `deve ser > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `deve ser < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'não pode ser vazio' : `deve ter ao menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `deve ter no máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('pattern', 'tem formato inválido');
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `deve estar no formato ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `deve ter ao menos ${schema.minItems} itens`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `deve ter no máximo ${schema.maxItems} itens`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      fail('uniqueItems', 'não pode ter itens repetidos');
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validate(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const join = (key) => (path ? `${path}.${key}` : key);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: join(key), keyword: 'required', message: `${join(key)} é obrigatório` });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validate(properties[key], propertyValue, join(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(key), keyword: 'additionalProperties', message: `${join(key)} não é permitido` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(schema.additionalProperties, propertyValue, join(key), errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,200 @@
+// shared/searchIndex.js
+// Índice invertido para busca textual em português.
+//
+// O texto é quebrado em termos sem acento e em minúsculas ("Feijão" -> "feijao"),
+// sem stopwords, e reduzido ao singular por um stemmer leve ("limões" ->
+// "limao", "pães" -> "pao"). A pontuação é TF-IDF: cada termo da consulta soma
+// (1 + ln tf) × idf, com tf ponderado pelo peso do campo. O último termo da
+// consulta também casa por prefixo ("arr" encontra "arroz"), e termos que só
+// casam por prefixo valem menos. Documentos que atendem a mais termos da
+// consulta sobem no ranking (fator de coordenação).
+const { resolvePath } = require('./queryEngine');
+const { foldAccents } = require('./text');
+
+const STOPWORDS = new Set([
+  'a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'na', 'no',
+  'nas', 'nos', 'um', 'uma', 'com', 'para', 'por', 'pra', 'sem', 'ou', 'que'
+]);
+
+const PREFIX_WEIGHT = 0.5;
+
+// Redução ao singular (versão simplificada da etapa de plural do RSLP)
+function stem(term) {
+  if (term.length <= 3 || !term.endsWith('s') || term.endsWith('ss') || term.endsWith('us')) {
+    return term;
+  }
+  const rules = [
+    [/(oe|ae)s$/, 'ao'], // limoes, paes
+    [/ais$/, 'al'], // animais
+    [/eis$/, 'el'], // papeis
+    [/ois$/, 'ol'], // lencois
+    [/ns$/, 'm'], // bombons
+    [/([rz])es$/, '$1'] // flores, luzes
+  ];
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(term)) return term.replace(pattern, replacement);
+  }
+  return term.slice(0, -1);
+}
+
+function tokenize(text) {
+  return foldAccents(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+// Todos os textos de um valor (strings, números e o conteúdo de arrays/objetos)
+function collectText(value, out = []) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    out.push(String(value));
+  } else if (value && typeof value === 'object') {
+    for (const nested of Object.values(value)) collectText(nested, out);
+  }
+  return out;
+}
+
+class SearchIndex {
+  /**
+   * @param {object} [options]
+   * @param {Array<string>|Object<string, number>} [options.fields] campos indexados
+   *   (caminhos com ponto) ou { campo: peso }; sem campos indexa todo o texto do documento
+   * @param {number} [options.minPrefix=2] tamanho mínimo do termo para casar por prefixo
+   */
+  constructor(options = {}) {
+    const { fields, minPrefix = 2 } = options;
+    this.fields = Array.isArray(fields)
+      ? fields.map(path => ({ path, weight: 1 }))
+      : Object.entries(fields || {}).map(([path, weight]) => ({ path, weight }));
+    this.minPrefix = minPrefix;
+    this.postings = new Map(); // termo -> Map(id -> tf ponderado)
+    this.terms = new Map(); // id -> termos do documento
+    this.sortedTerms = null; // vocabulário ordenado (busca por prefixo), refeito sob demanda
+  }
+
+  get size() {
+    return this.terms.size;
+  }
+
+  // Termos do documento com o peso acumulado de cada um
+  analyze(document) {
+    const weights = new Map();
+    const add = (text, weight) => {
+      for (const term of tokenize(text)) weights.set(term, (weights.get(term) || 0) + weight);
+    };
+    if (this.fields.length === 0) {
+      // campos controlados pelo banco não são texto pesquisável
+      const { id, createdAt, updatedAt, _version, ...content } = document;
+      collectText(content).forEach(text => add(text, 1));
+    } else {
+      for (const { path, weight } of this.fields) {
+        collectText(resolvePath(document, path)).forEach(text => add(text, weight));
+      }
+    }
+    return weights;
+  }
+
+  add(document) {
+    this.remove(document.id);
+    const weights = this.analyze(document);
+    for (const [term, tf] of weights) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(document.id, tf);
+    }
+    this.terms.set(document.id, [...weights.keys()]);
+  }
+
+  remove(id) {
+    for (const term of this.terms.get(id) || []) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    }
+    this.terms.delete(id);
+  }
+
+  rebuild(documents) {
+    this.postings = new Map();
+    this.terms = new Map();
+    this.sortedTerms = null;
+    documents.forEach(document => this.add(document));
+  }
+
+  // Termos do vocabulário que começam com `prefix` (busca binária no vocabulário ordenado)
+  expand(prefix) {
+    if (!this.sortedTerms) this.sortedTerms = [...this.postings.keys()].sort();
+    const terms = this.sortedTerms;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (terms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+    const matches = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+      matches.push(terms[i]);
+    }
+    return matches;
+  }
+
+  /**
+   * @param {string} query texto livre
+   * @returns {Array<{id, score}>} do mais ao menos relevante
+   */
+  search(query) {
+    const raw = foldAccents(query).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const tokens = [...new Set(tokenize(query))];
+    if (tokens.length === 0) return [];
+    // prefixo só para o último termo digitado, antes do stemming ("arr" -> "arroz")
+    const last = raw[raw.length - 1];
+    const prefix = !STOPWORDS.has(last) && last.length >= this.minPrefix ? last : null;
+
+    const total = this.size;
+    const scores = new Map(); // id -> { score, matched }
+    tokens.forEach((token, i) => {
+      const candidates = new Map([[token, 1]]);
+      if (prefix && i === tokens.length - 1) {
+        for (const term of this.expand(prefix)) {
+          if (!candidates.has(term)) candidates.set(term, PREFIX_WEIGHT);
+        }
+      }
+      const best = new Map(); // id -> melhor contribuição deste termo da consulta
+      for (const [term, factor] of candidates) {
+        const posting = this.postings.get(term);
+        if (!posting) continue;
+        const idf = Math.log(1 + total / posting.size);
+        for (const [id, tf] of posting) {
+          const value = (1 + Math.log(Math.max(tf, 1))) * idf * factor;
+          if (value > (best.get(id) || 0)) best.set(id, value);
+        }
+      }
+      for (const [id, value] of best) {
+        const entry = scores.get(id) || { score: 0, matched: 0 };
+        entry.score += value;
+        entry.matched++;
+        scores.set(id, entry);
+      }
+    });
+
+    return [...scores.entries()]
+      .map(([id, { score, matched }]) => ({
+        id,
+        score: Math.round(score * (matched / tokens.length) * 10000) / 10000
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  stem
+};
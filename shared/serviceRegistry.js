@@ -1,170 +1,264 @@
 // shared/serviceRegistry.js
-const fs = require('fs-extra');
-const path = require('path');
-const axios = require('axios');
-
-const REGISTRY_PATH = path.join(__dirname, '_registry.json');
-
-const CHECK_INTERVAL_MS = 30_000; // 30s entre health checks
-const FAIL_OPEN_AFTER = 3;        // 3 falhas seguidas marca como unhealthy
-const INSTANCE_TTL_MS = 5 * 60_000; // 5 min sem heartbeat => remover
-
-// Estado em memória (cada processo mantém o seu, mas persistimos em arquivo p/ compartilhamento)
-let memory = {
-  services: {
-    // name: [{ url, healthy, fails, lastSeen, lastOk, meta }]
-  },
-  updatedAt: new Date().toISOString()
-};
+// Cliente do service registry, com o mesmo uso em qualquer modo:
+//   REGISTRY_URL definido  -> registry-service via HTTP (services/registry-service);
+//                             só ele faz health checks (REGISTRY_TOKEN se exigido)
+//   sem REGISTRY_URL       -> modo arquivo (_registry.json), como fallback: cada
+//                             processo relê/regrava o arquivo e roda seus checks
+// Quem registra uma instância passa a mandar heartbeats até o deregister.
+//
+// API no estilo do product-service (mesmo registry por baixo):
+//   register(nome, { url, version, endpoints, ... })  metadados junto com a url
+//   discover(nome)        instância escolhida ({ url, healthy, meta, ... }) ou null
+//   updateHealth(nome, healthy)  heartbeat das instâncias deste processo
+//   unregister(nome)      remove as instâncias deste processo
+//
+// watch(nome | '*', callback) assina as mudanças (added, updated, removed,
+// healthy, unhealthy; resync quando eventos podem ter se perdido). Com
+// startCache(), discover/list passam a usar uma vista local mantida por esses
+// eventos em vez de consultar o registry a cada chamada.
+//
+// reportOutcome(nome, url, ok) leva sinais passivos (resultado das chamadas do
+// gateway) ao estado da instância no registry.
+const EventEmitter = require('events');
+const { Balancer, strategiesFromEnv } = require('./loadBalancing');
+const { key } = require('./registry/Registry');
+const { createFileBackend } = require('./registry/fileBackend');
+const { createHttpBackend } = require('./registry/httpBackend');
+
+const HEARTBEAT_INTERVAL_MS = Number(process.env.REGISTRY_HEARTBEAT_MS) || 10_000;
+// teto de idade da vista local, caso algum evento tenha se perdido
+const CACHE_MAX_AGE_MS = Number(process.env.REGISTRY_CACHE_MAX_AGE_MS) || 30_000;
+
+const backend = process.env.REGISTRY_URL
+  ? createHttpBackend(process.env.REGISTRY_URL, { token: process.env.REGISTRY_TOKEN })
+  : createFileBackend();
+
+// Balanceamento por serviço (estado do processo, não vai para o registry)
+const balancing = strategiesFromEnv();
+const balancers = new Map();
 
-// Util: carrega o JSON do disco (se existir)
-async function load() {
-  try {
-    if (await fs.pathExists(REGISTRY_PATH)) {
-      const data = await fs.readJson(REGISTRY_PATH);
-      if (data && data.services) memory = data;
-    } else {
-      await persist();
-    }
-  } catch (e) {
-    console.warn('[registry] falha ao carregar arquivo:', e.message);
+// Instâncias registradas por este processo: "nome url" -> { name, url, meta, timer }
+const registrations = new Map();
+const instanceId = (name, url) => `${key(name)} ${url}`;
+
+// Heartbeat que recria o registro se o registry não conhecer mais a
+// instância (registry reiniciado ou instância expirada)
+async function sendHeartbeat({ name, url, meta }, status) {
+  if (!(await backend.heartbeat(name, url, status))) {
+    await backend.register(name, url, meta);
+    if (status && status.healthy === false) await backend.heartbeat(name, url, status);
+    return false;
   }
+  return true;
+}
+
+function startHeartbeat(name, url, meta) {
+  stopHeartbeat(name, url);
+  const registration = { name, url, meta };
+  registration.timer = setInterval(() => {
+    sendHeartbeat(registration).catch(e => console.warn(`[registry] heartbeat de ${name} falhou:`, e.message));
+  }, HEARTBEAT_INTERVAL_MS);
+  registration.timer.unref();
+  registrations.set(instanceId(name, url), registration);
 }
 
-// Util: salva o JSON no disco (atomicamente)
-async function persist() {
-  memory.updatedAt = new Date().toISOString();
-  await fs.outputJson(REGISTRY_PATH, memory, { spaces: 2 });
+function stopHeartbeat(name, url) {
+  const registration = registrations.get(instanceId(name, url));
+  if (registration) clearInterval(registration.timer);
+  registrations.delete(instanceId(name, url));
 }
 
-// Normaliza chave do serviço
-const key = (name) => String(name || '').trim().toLowerCase();
+// Registros deste processo para o serviço (todos, ou só o de `url`)
+function ownRegistrations(name, url) {
+  return [...registrations.values()].filter(r => key(r.name) === key(name) && (!url || r.url === url));
+}
 
-// Busca lista de instâncias de um serviço
-function getList(name) {
-  const k = key(name);
-  memory.services[k] ||= [];
-  return memory.services[k];
-}
-
-// Adiciona ou atualiza instância
-async function register(name, url, meta = {}) {
-  await load();
-  const list = getList(name);
-  const now = Date.now();
-
-  const idx = list.findIndex(i => i.url === url);
-  if (idx >= 0) {
-    // heartbeat/update
-    list[idx] = {
-      ...list[idx],
-      healthy: true,
-      fails: 0,
-      lastSeen: now,
-      lastOk: now,
-      meta: { ...list[idx].meta, ...meta }
-    };
-  } else {
-    list.push({
-      url,
-      healthy: true,
-      fails: 0,
-      lastSeen: now,
-      lastOk: now,
-      meta
-    });
-  }
-  await persist();
+// Adiciona ou atualiza instância: register(nome, url, meta) ou
+// register(nome, { url, ...meta })
+async function register(name, target, meta = {}) {
+  const { url, ...info } = typeof target === 'object' && target !== null ? target : { url: target };
+  if (!url) throw new Error(`register(${name}): url é obrigatória`);
+  const allMeta = { ...info, ...meta };
+  await backend.register(name, url, allMeta);
+  startHeartbeat(name, url, allMeta);
   return true;
 }
 
+// Avisa que a instância continua no ar (register já faz isso periodicamente);
+// false se o registry não a conhece
+async function heartbeat(name, url) {
+  return Boolean(await backend.heartbeat(name, url));
+}
+
+// Heartbeat com a saúde informada pela própria instância, para as instâncias
+// do serviço registradas por este processo (ou só a de `url`). healthy = false
+// conta como um check falho; true não se sobrepõe aos checks do registry
+async function updateHealth(name, healthy = true, url) {
+  const own = ownRegistrations(name, url);
+  await Promise.all(own.map(registration => sendHeartbeat(registration, { healthy: Boolean(healthy) })));
+  return own.length > 0;
+}
+
 async function deregister(name, url) {
-  await load();
-  const list = getList(name);
-  const next = list.filter(i => i.url !== url);
-  memory.services[key(name)] = next;
-  await persist();
+  stopHeartbeat(name, url);
+  await backend.deregister(name, url);
   return true;
 }
 
-// Escolhe uma instância saudável (round-robin simples baseado em lastOk)
+// Sinais passivos: falhas vão sempre ao registry; sucesso só depois de uma
+// falha, para zerar a contagem (sem uma chamada ao registry por requisição)
+const suspects = new Set();
+
+async function reportOutcome(name, url, ok, error) {
+  const id = instanceId(name, url);
+  if (ok) {
+    if (!suspects.has(id)) return null;
+    suspects.delete(id);
+  } else {
+    suspects.add(id);
+  }
+  return backend.report(name, url, { ok, error });
+}
+
+// Remove as instâncias do serviço registradas por este processo (ou só a de `url`)
+async function unregister(name, url) {
+  const own = ownRegistrations(name, url);
+  await Promise.all(own.map(registration => deregister(registration.name, registration.url)));
+  return own.length > 0;
+}
+
+// -------------------- watch e vista local --------------------
+const watchers = new EventEmitter();
+watchers.setMaxListeners(0);
+let stopBackendWatch = null;
+let cache = null; // serviço -> { instances, loadedAt }, depois de startCache()
+const generations = new Map(); // serviço -> eventos recebidos (descarta leituras que correram com eles)
+
+function applyEvent(instances, event) {
+  const index = instances.findIndex(i => i.url === event.instance.url);
+  if (event.type === 'removed') {
+    if (index >= 0) instances.splice(index, 1);
+  } else if (index >= 0) {
+    instances[index] = { ...event.instance };
+  } else {
+    instances.push({ ...event.instance });
+  }
+}
+
+function onRegistryEvent(event) {
+  if (event.type === 'resync') {
+    if (cache) cache.clear();
+  } else {
+    generations.set(event.service, (generations.get(event.service) || 0) + 1);
+    const cached = cache && cache.get(event.service);
+    if (cached) applyEvent(cached.instances, event);
+  }
+  watchers.emit('change', event);
+}
+
+function ensureBackendWatch() {
+  if (!stopBackendWatch) stopBackendWatch = backend.watch(onRegistryEvent);
+}
+
+// Assina as mudanças de um serviço (ou de todos, com '*'); devolve a função que cancela
+function watch(name, callback) {
+  const k = name && name !== '*' ? key(name) : null;
+  const listener = (event) => {
+    if (!k || event.type === 'resync' || event.service === k) callback(event);
+  };
+  watchers.on('change', listener);
+  ensureBackendWatch();
+  return () => watchers.off('change', listener);
+}
+
+// Passa a manter a vista local (usada pelo gateway)
+function startCache() {
+  if (!cache) cache = new Map();
+  ensureBackendWatch();
+}
+
+// Instâncias do serviço: da vista local, se ativa e recente, ou do backend
+async function instancesOf(name) {
+  if (!cache) return backend.instances(name);
+  const k = key(name);
+  const cached = cache.get(k);
+  if (cached && Date.now() - cached.loadedAt < CACHE_MAX_AGE_MS) return cached.instances;
+  const generation = generations.get(k) || 0;
+  const instances = (await backend.instances(name)).map(i => ({ ...i }));
+  // só guarda se nenhum evento chegou durante a leitura
+  if (cache && (generations.get(k) || 0) === generation) cache.set(k, { instances, loadedAt: Date.now() });
+  return instances;
+}
+
+function balancerFor(name) {
+  const k = key(name);
+  if (!balancers.has(k)) {
+    balancers.set(k, new Balancer(balancing.perService[k] || balancing.defaultStrategy));
+  }
+  return balancers.get(k);
+}
+
+// Estratégia de balanceamento do serviço: round-robin (padrão), weighted
+// (meta.weight), random ou least-outstanding (ver shared/loadBalancing.js)
+function setStrategy(name, strategy) {
+  balancerFor(name).setStrategy(strategy);
+}
+
+// Instâncias registradas de um serviço (saudáveis ou não)
+async function list(name) {
+  return instancesOf(name);
+}
+
+// Escolhe uma instância saudável conforme a estratégia do serviço e a devolve
+// inteira ({ url, healthy, lastOk, meta: { version, endpoints, ... } }); null se não houver.
+// options.select(instâncias) restringe as candidatas (ex: versão, canário)
+async function discover(name, options = {}) {
+  const instances = await instancesOf(name);
+  const healthy = instances.filter(i => i.healthy);
+  const instance = balancerFor(name).pick(options.select ? options.select(healthy) : healthy);
+  return instance ? { ...instance } : null;
+}
+
+// Como discover, mas só a url
 async function lookup(name) {
-  await load();
-  const list = getList(name).filter(i => i.healthy);
-  if (list.length === 0) return null;
-  // escolhe a mais “antiga” em lastOk para balancear
-  list.sort((a, b) => (a.lastOk || 0) - (b.lastOk || 0));
-  return list[0].url;
+  const instance = await discover(name);
+  return instance ? instance.url : null;
+}
+
+// Marca uma requisição em andamento para a instância (alimenta o
+// least-outstanding); devolve a função que a encerra
+function acquire(name, url) {
+  return balancerFor(name).acquire(url);
 }
 
-// Retorna o conteúdo do registry (para /registry do gateway)
+// Retorna o conteúdo do registry (para /registry do gateway), com a
+// estratégia e as escolhas de cada serviço
 async function dump() {
-  await load();
-  return memory;
-}
-
-// Health check de uma instância
-async function checkInstance(svcName, inst) {
-  try {
-    const { data } = await axios.get(`${inst.url}/health`, { timeout: 3000 });
-    // consideramos ok se respondeu um JSON com {status:'ok'}
-    const ok = data && (data.status === 'ok' || data.service);
-    if (ok) {
-      inst.healthy = true;
-      inst.fails = 0;
-      inst.lastSeen = Date.now();
-      inst.lastOk = Date.now();
-      return;
-    }
-    throw new Error('resposta inválida');
-  } catch {
-    inst.fails = (inst.fails || 0) + 1;
-    if (inst.fails >= FAIL_OPEN_AFTER) inst.healthy = false;
+  const data = await backend.list();
+  const lb = {};
+  for (const [name, instances] of Object.entries(data.services)) {
+    lb[name] = balancerFor(name).stats(instances);
   }
+  return { mode: backend.mode, ...data, balancing: lb };
 }
 
-// Remove instâncias “podres” (TTL estourado)
-function cleanupAged(svcName, list) {
-  const now = Date.now();
-  return list.filter(inst => {
-    const age = now - (inst.lastSeen || 0);
-    return age <= INSTANCE_TTL_MS; // mantém só quem foi visto nos últimos X min
-  });
-}
-
-// Loop de health checks (rodará em cada processo que importar este módulo)
-let timerStarted = false;
-async function startBackgroundChecks() {
-  if (timerStarted) return;
-  timerStarted = true;
-
-  await load();
-
-  setInterval(async () => {
-    try {
-      await load(); // traz o estado mais novo
-      const names = Object.keys(memory.services || {});
-      for (const n of names) {
-        const list = getList(n);
-        for (const inst of list) {
-          await checkInstance(n, inst);
-        }
-        memory.services[key(n)] = cleanupAged(n, list);
-      }
-      await persist();
-    } catch (e) {
-      console.warn('[registry] health loop error:', e.message);
-    }
-  }, CHECK_INTERVAL_MS);
-}
-
-// Inicia os checks ao importar o módulo
-startBackgroundChecks();
+// Inicia os checks ao importar o módulo (no modo HTTP ficam no registry-service)
+backend.startHealthChecks();
 
 // Exports
 module.exports = {
   register,
+  heartbeat,
+  updateHealth,
   deregister,
+  unregister,
+  reportOutcome,
+  list,
+  discover,
   lookup,
+  watch,
+  startCache,
+  acquire,
+  setStrategy,
   dump
 };
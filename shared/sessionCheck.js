@@ -0,0 +1,64 @@
+// shared/sessionCheck.js
+// Sessões do user-service vistas pelos demais serviços: um JWT só vale
+// enquanto a sessão dele (jti) existir no user-service, que a encerra no
+// logout (POST /auth/logout) ou quando o token vence (TTL da coleção sessions).
+//
+// Quem já conferiu a assinatura com jwt.verify pergunta aqui se a sessão
+// continua ativa. A resposta do user-service (POST /auth/validate) fica em
+// cache por SESSION_CACHE_MS (padrão 10s) e nunca além do vencimento do token,
+// então um logout leva no máximo esse tempo para valer em todo lugar.
+const axios = require('axios');
+const serviceRegistry = require('./serviceRegistry');
+
+const SESSION_CACHE_MS = Number(process.env.SESSION_CACHE_MS || 10_000);
+const MAX_CACHED = 10_000; // sessões em cache por processo
+const VALIDATE_TIMEOUT_MS = 5000;
+
+// Consulta padrão: instância do user-service escolhida pelo registry
+async function validateWithUserService(token) {
+  const userService = await serviceRegistry.discover('user-service');
+  if (!userService) throw new Error('user-service não registrado');
+  return axios.post(`${userService.url}/auth/validate`, { token }, { timeout: VALIDATE_TIMEOUT_MS });
+}
+
+/**
+ * Cria a verificação de sessão (cada uma com o próprio cache).
+ * @param {object} [options]
+ * @param {function(string): Promise} [options.validate] faz o POST /auth/validate
+ *   (ex: o gateway passa pelo breaker dele); padrão: user-service pelo registry
+ * @param {number} [options.cacheMs=SESSION_CACHE_MS]
+ * @returns {function(string, object): Promise<boolean>} (token, payload já
+ *   verificado) -> sessão ativa? Lança se o user-service não responder (rede ou 5xx)
+ */
+function createSessionCheck({ validate = validateWithUserService, cacheMs = SESSION_CACHE_MS } = {}) {
+  const cache = new Map(); // jti -> { active, until }
+
+  return async function isSessionActive(token, payload) {
+    if (!payload || !payload.jti) return false; // token sem sessão
+    const now = Date.now();
+    const cached = cache.get(payload.jti);
+    if (cached && cached.until > now) return cached.active;
+
+    let active;
+    try {
+      const { data } = await validate(token);
+      active = Boolean(data && data.success);
+    } catch (error) {
+      // 4xx é o user-service recusando o token; o resto sobe
+      const status = error.response && error.response.status;
+      if (!(status >= 400 && status < 500)) throw error;
+      active = false;
+    }
+    const expiresAt = payload.exp ? payload.exp * 1000 : Infinity;
+    cache.delete(payload.jti);
+    cache.set(payload.jti, { active, until: Math.min(now + cacheMs, expiresAt) });
+    // o Map mantém a ordem de inserção: sai a consulta mais antiga
+    if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    return active;
+  };
+}
+
+module.exports = {
+  createSessionCheck,
+  SESSION_CACHE_MS
+};
@@ -0,0 +1,100 @@
+// shared/storage/FileStorage.js
+// Base dos adaptadores em disco: escrita atômica e os arquivos auxiliares da
+// coleção (<coleção>_index.json e <coleção>_changes.ndjson)
+const fs = require('fs-extra');
+const path = require('path');
+
+let tmpCounter = 0;
+
+// Grava um arquivo de forma atômica: escreve num temporário, faz fsync e
+// renomeia por cima do original (rename é atômico no mesmo sistema de arquivos)
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp-${process.pid}-${Date.now()}-${tmpCounter++}`;
+  try {
+    const fd = await fs.open(tmpPath, 'w');
+    try {
+      await fs.writeFile(fd, content);
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.remove(tmpPath).catch(() => {});
+    throw error;
+  }
+}
+
+const writeJsonAtomic = (filePath, data) =>
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+
+// Acrescenta ao final do arquivo e só retorna depois do fsync
+async function appendFileDurable(filePath, content) {
+  const fd = await fs.open(filePath, 'a');
+  try {
+    await fs.writeFile(fd, content);
+    await fs.fsync(fd);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+// Lê um arquivo NDJSON. Linhas inválidas (queda no meio de um append) são
+// descartadas e sinalizadas em `damaged`
+async function readNdjson(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const entries = [];
+  let damaged = false;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      damaged = true;
+    }
+  }
+  return { entries, damaged };
+}
+
+const toNdjson = (entries) => entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+class FileStorage {
+  constructor({ dbPath, collectionName }) {
+    this.dbPath = dbPath;
+    this.collectionName = collectionName;
+    this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+    this.changesPath = path.join(dbPath, `${collectionName}_changes.ndjson`);
+  }
+
+  async saveIndex(index) {
+    await writeJsonAtomic(this.indexPath, index);
+  }
+
+  async loadChanges() {
+    const log = await readNdjson(this.changesPath);
+    return log ? log.entries : [];
+  }
+
+  async appendChanges(entries) {
+    await fs.appendFile(this.changesPath, toNdjson(entries));
+  }
+
+  async replaceChanges(entries) {
+    await writeFileAtomic(this.changesPath, toNdjson(entries));
+  }
+}
+
+module.exports = {
+  FileStorage,
+  writeFileAtomic,
+  writeJsonAtomic,
+  appendFileDurable,
+  readNdjson,
+  toNdjson
+};
@@ -0,0 +1,123 @@
+// shared/storage/JsonFileStorage.js
+// Adaptador padrão: a coleção inteira num array JSON (<coleção>.json),
+// regravado de forma atômica a cada escrita
+const fs = require('fs-extra');
+const path = require('path');
+const { FileStorage, writeJsonAtomic } = require('./FileStorage');
+
+// Recupera os documentos completos de um array JSON truncado
+// (ex: processo morto no meio de um fs.writeJson antigo)
+function salvageDocuments(raw) {
+  const documents = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < raw.length; i++) {
+    const char = raw[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 1) start = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 1 && start >= 0) {
+        try {
+          documents.push(JSON.parse(raw.slice(start, i + 1)));
+        } catch (_) {}
+        start = -1;
+      }
+    } else if (char === '[' && depth === 0) {
+      depth = 1;
+    }
+  }
+  return documents;
+}
+
+class JsonFileStorage extends FileStorage {
+  constructor(options) {
+    super(options);
+    this.filePath = path.join(this.dbPath, `${this.collectionName}.json`);
+    this.location = this.filePath;
+  }
+
+  async load() {
+    await fs.ensureDir(this.dbPath);
+    return this.recover();
+  }
+
+  async save(documents) {
+    await writeJsonAtomic(this.filePath, documents);
+  }
+
+  // Detecta e repara arquivo da coleção ausente ou truncado.
+  // Ordem de preferência: arquivo atual válido > temporário completo mais
+  // recente > documentos inteiros recuperados do arquivo truncado
+  async recover() {
+    const tmpFiles = await this.listTempFiles();
+    let raw = null;
+
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+      const documents = JSON.parse(raw);
+      if (Array.isArray(documents)) {
+        await this.removeTempFiles(tmpFiles);
+        return documents;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[db] ${this.collectionName}.json corrompido, tentando recuperar`);
+      }
+    }
+
+    let documents = null;
+    for (const tmpFile of tmpFiles) {
+      try {
+        const candidate = await fs.readJson(tmpFile);
+        if (Array.isArray(candidate)) {
+          documents = candidate;
+          break;
+        }
+      } catch (_) {}
+    }
+    if (!documents) {
+      documents = raw !== null ? salvageDocuments(raw) : [];
+    }
+
+    if (raw !== null) {
+      // mantém o arquivo danificado para inspeção manual
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.move(this.filePath, corruptPath, { overwrite: true });
+      console.warn(`[db] ${this.collectionName}: ${documents.length} documentos recuperados (original em ${path.basename(corruptPath)})`);
+    }
+    await writeJsonAtomic(this.filePath, documents);
+    await this.removeTempFiles(tmpFiles);
+    return documents;
+  }
+
+  // Temporários deixados por escritas interrompidas, do mais novo ao mais antigo
+  async listTempFiles() {
+    const prefix = `${this.collectionName}.json.tmp-`;
+    const names = (await fs.readdir(this.dbPath)).filter(n => n.startsWith(prefix));
+    const files = await Promise.all(names.map(async name => {
+      const file = path.join(this.dbPath, name);
+      const { mtimeMs } = await fs.stat(file);
+      return { file, mtimeMs };
+    }));
+    return files.sort((a, b) => b.mtimeMs - a.mtimeMs).map(f => f.file);
+  }
+
+  async removeTempFiles(files) {
+    await Promise.all(files.map(file => fs.remove(file).catch(() => {})));
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,125 @@
+// shared/storage/LogStorage.js
+// Adaptador de log append-only (<coleção>.ndjson): cada escrita acrescenta só
+// o que mudou, em vez de regravar a coleção inteira. Cada linha é uma operação
+// ({ put: documento } ou { del: id }) ou um array delas — um lote vai numa
+// linha só, então uma queda no meio do append descarta o lote inteiro.
+//
+// A compactação regrava o log só com o estado atual: na carga, quando o log
+// passa de compactRatio × documentos (mínimo compactMin linhas) e, com
+// compactInterval (ms), periodicamente em segundo plano.
+const fs = require('fs-extra');
+const path = require('path');
+const { FileStorage, writeFileAtomic, appendFileDurable, readNdjson, toNdjson } = require('./FileStorage');
+const JsonFileStorage = require('./JsonFileStorage');
+
+const operationFor = (change) => (change.type === 'delete' ? { del: change.id } : { put: change.after });
+
+class LogStorage extends FileStorage {
+  constructor(options) {
+    super(options);
+    this.options = options;
+    this.filePath = path.join(this.dbPath, `${this.collectionName}.ndjson`);
+    this.location = this.filePath;
+    this.compactRatio = options.compactRatio || 2;
+    this.compactMin = options.compactMin || 1000;
+    this.records = 0; // operações no log (vivas + obsoletas)
+    this.documents = [];
+    this.needsSnapshot = false;
+    this.queue = Promise.resolve();
+
+    if (options.compactInterval) {
+      this.timer = setInterval(() => {
+        if (this.records <= this.documents.length) return;
+        this.enqueue(() => this.writeSnapshot(this.documents))
+          .catch(error => console.error(`Erro ao compactar ${this.collectionName}:`, error));
+      }, options.compactInterval);
+      this.timer.unref();
+    }
+  }
+
+  // Append e compactação nunca rodam ao mesmo tempo
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    await fs.ensureDir(this.dbPath);
+    await this.removeTempFiles();
+    const log = await readNdjson(this.filePath);
+    if (!log) {
+      // primeira carga com este adaptador: importa o <coleção>.json, se existir
+      const legacy = new JsonFileStorage(this.options);
+      const documents = await fs.pathExists(legacy.filePath) ? await legacy.recover() : [];
+      await this.writeSnapshot(documents);
+      return documents;
+    }
+
+    const byId = new Map();
+    for (const record of log.entries) {
+      for (const operation of Array.isArray(record) ? record : [record]) {
+        if (operation.put) byId.set(operation.put.id, operation.put);
+        else if (operation.del !== undefined) byId.delete(operation.del);
+        this.records++;
+      }
+    }
+    const documents = [...byId.values()];
+    if (log.damaged) {
+      console.warn(`[db] ${this.collectionName}.ndjson com linhas inválidas; descartadas na compactação`);
+    }
+    // reescreve antes do próximo append: uma linha truncada contaminaria a seguinte
+    if (log.damaged || this.shouldCompact(documents)) {
+      await this.writeSnapshot(documents);
+    } else {
+      this.documents = documents;
+    }
+    return documents;
+  }
+
+  // `changes` vem do JsonDatabase ({ type, id, after }); sem elas grava o estado completo
+  async save(documents, changes) {
+    return this.enqueue(async () => {
+      if (!changes || this.needsSnapshot) {
+        await this.writeSnapshot(documents);
+        return;
+      }
+      const operations = changes.map(operationFor);
+      try {
+        await appendFileDurable(this.filePath, toNdjson([operations.length === 1 ? operations[0] : operations]));
+      } catch (error) {
+        // o append pode ter ficado pela metade: a próxima escrita regrava tudo
+        this.needsSnapshot = true;
+        throw error;
+      }
+      this.records += operations.length;
+      this.documents = documents;
+      if (this.shouldCompact(documents)) {
+        await this.writeSnapshot(documents);
+      }
+    });
+  }
+
+  shouldCompact(documents) {
+    return this.records > Math.max(this.compactMin, this.compactRatio * documents.length);
+  }
+
+  async writeSnapshot(documents) {
+    await writeFileAtomic(this.filePath, toNdjson(documents.map(doc => ({ put: doc }))));
+    this.records = documents.length;
+    this.documents = documents;
+    this.needsSnapshot = false;
+  }
+
+  async removeTempFiles() {
+    const prefix = `${this.collectionName}.ndjson.tmp-`;
+    const names = (await fs.readdir(this.dbPath)).filter(n => n.startsWith(prefix));
+    await Promise.all(names.map(name => fs.remove(path.join(this.dbPath, name)).catch(() => {})));
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = LogStorage;
@@ -0,0 +1,42 @@
+// shared/storage/MemoryStorage.js
+// Adaptador em memória, para testes: nada vai para o disco e cada instância
+// começa vazia (ou com options.documents)
+let instances = 0;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class MemoryStorage {
+  constructor({ collectionName, documents = [] }) {
+    this.collectionName = collectionName;
+    this.location = `memory:${collectionName}:${++instances}`;
+    this.documents = clone(documents);
+    this.index = null;
+    this.changes = [];
+  }
+
+  async load() {
+    return clone(this.documents);
+  }
+
+  async save(documents) {
+    this.documents = documents;
+  }
+
+  async saveIndex(index) {
+    this.index = index;
+  }
+
+  async loadChanges() {
+    return [...this.changes];
+  }
+
+  async appendChanges(entries) {
+    this.changes.push(...entries);
+  }
+
+  async replaceChanges(entries) {
+    this.changes = [...entries];
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,48 @@
+// shared/storage/index.js
+// Adaptadores de armazenamento do JsonDatabase. Todos implementam:
+//   load() -> documentos              save(documents, changes)
+//   saveIndex(index)                  loadChanges() -> entradas do change feed
+//   appendChanges(entries)            replaceChanges(entries)
+// e expõem `location`, que identifica a coleção na fila de escrita.
+//
+//   json   (padrão) array JSON regravado a cada escrita — formato histórico
+//   log    NDJSON append-only com compactação (ver LogStorage.js)
+//   memory só em memória, para testes
+const { DatabaseError } = require('../dbErrors');
+const JsonFileStorage = require('./JsonFileStorage');
+const LogStorage = require('./LogStorage');
+const MemoryStorage = require('./MemoryStorage');
+
+const ADAPTERS = {
+  json: JsonFileStorage,
+  log: LogStorage,
+  memory: MemoryStorage
+};
+
+// `spec`: nome do adaptador, { type, ...opções } ou um adaptador já criado
+function createStorage(spec, { dbPath, collectionName }) {
+  if (spec && typeof spec.load === 'function') return spec;
+  const { type = 'json', ...options } = typeof spec === 'string' ? { type: spec } : (spec || {});
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new DatabaseError(`Adaptador de armazenamento desconhecido: ${type}`, 'UNKNOWN_STORAGE');
+  }
+  return new Adapter({ ...options, dbPath, collectionName });
+}
+
+// Configuração por serviço via ambiente: DB_STORAGE=json|log|memory e,
+// para o log, DB_COMPACT_INTERVAL (ms)
+function storageFromEnv(env = process.env) {
+  return {
+    type: env.DB_STORAGE || 'json',
+    compactInterval: Number(env.DB_COMPACT_INTERVAL) || undefined
+  };
+}
+
+module.exports = {
+  createStorage,
+  storageFromEnv,
+  JsonFileStorage,
+  LogStorage,
+  MemoryStorage
+};
@@ -0,0 +1,16 @@
+// shared/text.js
+// Normalização de texto em português usada por slugs e buscas
+
+// Remove acentos e cedilha: 'Açúcar' -> 'Acucar'
+const foldAccents = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// 'Higiene & Limpeza' -> 'higiene-limpeza'
+const slugify = (text) => foldAccents(text)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  foldAccents,
+  slugify
+};
@@ -0,0 +1,171 @@
+// shared/updateOperators.js
+// Aplicação de updates no estilo MongoDB usada pelo JsonDatabase.update().
+//
+// Dois formatos:
+//  - objeto simples: merge raso, mas chaves com ponto ('metadata.lastUpdatedBy')
+//    gravam no campo aninhado em vez de criar uma chave literal;
+//  - operadores: $set, $unset, $inc, $min, $max, $push, $addToSet e $pull,
+//    aplicados na ordem em que aparecem. Caminhos aceitam índices numéricos
+//    ('images.0'), '$[]' (todos os elementos) e '$[nome]' filtrado por
+//    options.arrayFilters (ex: { 'i.itemId': 'abc' }).
+const { InvalidUpdateError } = require('./dbErrors');
+const { matchesFilter, matchesCondition, isOperatorExpression } = require('./queryEngine');
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Elemento do array atende ao filtro de '$[nome]'?
+function elementMatches(element, name, arrayFilters = []) {
+  const filter = arrayFilters.find(f => Object.keys(f).some(k => k === name || k.startsWith(`${name}.`)));
+  if (!filter) throw new InvalidUpdateError(`arrayFilters sem condição para $[${name}]`);
+  return Object.entries(filter).every(([key, condition]) => (key === name
+    ? matchesCondition([element], condition)
+    : isPlainObject(element) && matchesFilter(element, { [key.slice(name.length + 1)]: condition })));
+}
+
+// Segmentos que levariam ao protótipo (poluiriam Object.prototype)
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+// Percorre o caminho e chama visit(container, chave) para cada alvo.
+// Com create=true objetos intermediários ausentes são criados
+function walk(node, segments, options, create, visit) {
+  const [segment, ...rest] = segments;
+  if (FORBIDDEN_SEGMENTS.includes(segment)) {
+    throw new InvalidUpdateError(`Campo inválido no caminho do update: ${segment}`);
+  }
+
+  const step = (container, key) => {
+    if (rest.length === 0) return visit(container, key);
+    let child = container[key];
+    if (child === undefined || child === null) {
+      if (!create) return;
+      child = container[key] = {};
+    }
+    if (typeof child !== 'object') {
+      throw new InvalidUpdateError(`Não é possível atravessar o campo ${key} (valor não é objeto)`);
+    }
+    walk(child, rest, options, create, visit);
+  };
+
+  const positional = /^\$\[(\w*)\]$/.exec(segment);
+  if (positional) {
+    if (!Array.isArray(node)) return;
+    const name = positional[1];
+    node.forEach((element, i) => {
+      if (!name || elementMatches(element, name, options.arrayFilters)) step(node, i);
+    });
+    return;
+  }
+  step(node, segment);
+}
+
+function forEachTarget(document, path, options, create, visit) {
+  walk(document, path.split('.'), options, create, visit);
+}
+
+function asArray(container, key, operator) {
+  const current = container[key];
+  if (current === undefined || current === null) return [];
+  if (!Array.isArray(current)) {
+    throw new InvalidUpdateError(`${operator} exige que ${key} seja um array`);
+  }
+  return current;
+}
+
+function asNumber(container, key, arg, operator) {
+  if (typeof arg !== 'number' || Number.isNaN(arg)) {
+    throw new InvalidUpdateError(`${operator} exige um valor numérico para ${key}`);
+  }
+  const current = container[key] === undefined ? 0 : container[key];
+  if (typeof current !== 'number') {
+    throw new InvalidUpdateError(`${operator} exige que ${key} seja numérico`);
+  }
+  return current;
+}
+
+const each = (arg) => (isPlainObject(arg) && Array.isArray(arg.$each) ? arg.$each : [arg]);
+
+const UPDATE_OPERATORS = {
+  $set: { create: true, apply: (c, k, arg) => { c[k] = clone(arg); } },
+  $unset: {
+    create: false,
+    apply: (c, k) => {
+      if (Array.isArray(c)) c[k] = null;
+      else delete c[k];
+    }
+  },
+  $inc: { create: true, apply: (c, k, arg) => { c[k] = asNumber(c, k, arg, '$inc') + arg; } },
+  $min: {
+    create: true,
+    apply: (c, k, arg) => { if (c[k] === undefined || arg < c[k]) c[k] = arg; }
+  },
+  $max: {
+    create: true,
+    apply: (c, k, arg) => { if (c[k] === undefined || arg > c[k]) c[k] = arg; }
+  },
+  $push: {
+    create: true,
+    apply: (c, k, arg) => { c[k] = [...asArray(c, k, '$push'), ...clone(each(arg))]; }
+  },
+  $addToSet: {
+    create: true,
+    apply: (c, k, arg) => {
+      const list = [...asArray(c, k, '$addToSet')];
+      for (const value of each(arg)) {
+        if (!list.some(existing => sameValue(existing, value))) list.push(clone(value));
+      }
+      c[k] = list;
+    }
+  },
+  $pull: {
+    create: false,
+    apply: (c, k, arg) => {
+      if (c[k] === undefined) return;
+      // objeto simples = filtro aplicado a elementos-objeto; senão condição/valor
+      const remove = (element) => (isPlainObject(arg) && !isOperatorExpression(arg)
+        ? isPlainObject(element) && matchesFilter(element, arg)
+        : matchesCondition([element], arg));
+      c[k] = asArray(c, k, '$pull').filter(element => !remove(element));
+    }
+  }
+};
+
+const isOperatorUpdate = (update) => Object.keys(update).some(k => k.startsWith('$'));
+
+// Devolve uma cópia do documento com o update aplicado
+function applyUpdate(document, update, options = {}) {
+  if (!isPlainObject(update)) {
+    throw new InvalidUpdateError('Update deve ser um objeto');
+  }
+  const result = clone(document);
+
+  if (!isOperatorUpdate(update)) {
+    for (const [key, value] of Object.entries(update)) {
+      forEachTarget(result, key, options, true, (c, k) => { c[k] = clone(value); });
+    }
+    return result;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    const definition = UPDATE_OPERATORS[operator];
+    if (!definition) {
+      throw new InvalidUpdateError(operator.startsWith('$')
+        ? `Operador de update não suportado: ${operator}`
+        : `Não misture campos (${operator}) com operadores de update`);
+    }
+    if (!isPlainObject(fields)) {
+      throw new InvalidUpdateError(`${operator} exige um objeto { caminho: valor }`);
+    }
+    for (const [fieldPath, arg] of Object.entries(fields)) {
+      forEachTarget(result, fieldPath, options, definition.create,
+        (container, key) => definition.apply(container, key, arg));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  applyUpdate,
+  isOperatorUpdate
+};
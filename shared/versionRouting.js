@@ -0,0 +1,118 @@
+// shared/versionRouting.js
+// Roteamento por versão no gateway, a partir de meta.version e meta.tags que
+// cada instância anuncia ao registrar (SERVICE_VERSION / SERVICE_TAGS):
+//
+//   X-Service-Version: <seletor>  fixa a versão: só instâncias que casam com o
+//                                 seletor (nenhuma -> o gateway responde 503)
+//   canário                       sem o header, <percent>% das requisições vão
+//                                 para as instâncias que casam com o seletor do
+//                                 canário e o resto para as demais
+//
+// Seletor: versão exata, prefixo de versão ("2" casa 2.0.1, "2.1" casa 2.1.3)
+// ou uma tag da instância ("canary", "beta").
+// Canários por ambiente: CANARY="list-service=2.0.0:10,item-service=beta:5"
+//
+// Como o balanceamento, o estado (canários, contadores) é de cada processo.
+const { key } = require('./registry/Registry');
+
+const UNKNOWN_VERSION = 'unknown';
+
+const versionOf = (instance) => String((instance && instance.meta && instance.meta.version) || UNKNOWN_VERSION);
+
+function matches(instance, selector) {
+  const wanted = String(selector).trim();
+  const version = versionOf(instance);
+  if (version === wanted || version.startsWith(`${wanted}.`)) return true;
+  const tags = (instance.meta && instance.meta.tags) || [];
+  return Array.isArray(tags) && tags.includes(wanted);
+}
+
+class VersionRouter {
+  constructor(canaries = {}) {
+    this.canaries = new Map(); // serviço -> { version, percent }
+    this.traffic = new Map(); // serviço -> Map(versão -> { requests, errors })
+    for (const [name, canary] of Object.entries(canaries)) this.setCanary(name, canary);
+  }
+
+  // canary: { version, percent } (percent de 0 a 100); null remove o canário
+  setCanary(name, canary) {
+    if (!canary) {
+      this.canaries.delete(key(name));
+      return null;
+    }
+    const version = String(canary.version || '').trim();
+    const percent = Number(canary.percent);
+    if (!version) throw new Error(`Canário de ${name}: informe a versão (ou tag)`);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw new Error(`Canário de ${name}: percent deve estar entre 0 e 100`);
+    }
+    const normalized = { version, percent };
+    this.canaries.set(key(name), normalized);
+    return normalized;
+  }
+
+  // Filtra as instâncias (já saudáveis e, sem versão fixada, com o circuito
+  // liberado) que podem atender a requisição; o balanceamento escolhe entre
+  // as que sobrarem
+  select(name, instances, pinned) {
+    if (pinned) return instances.filter(instance => matches(instance, pinned));
+    const canary = this.canaries.get(key(name));
+    if (!canary) return instances;
+    const canaries = instances.filter(instance => matches(instance, canary.version));
+    const stable = instances.filter(instance => !matches(instance, canary.version));
+    // sem uma das partes não há o que dividir
+    if (canaries.length === 0 || stable.length === 0) return instances;
+    return Math.random() * 100 < canary.percent ? canaries : stable;
+  }
+
+  // Conta uma requisição atendida pela versão; ok = false para erro (5xx ou sem resposta)
+  record(name, version, ok) {
+    const k = key(name);
+    if (!this.traffic.has(k)) this.traffic.set(k, new Map());
+    const byVersion = this.traffic.get(k);
+    const counts = byVersion.get(version) || { requests: 0, errors: 0 };
+    counts.requests += 1;
+    if (!ok) counts.errors += 1;
+    byVersion.set(version, counts);
+  }
+
+  // Canário e tráfego por versão de cada serviço
+  stats() {
+    const names = new Set([...this.canaries.keys(), ...this.traffic.keys()]);
+    const services = {};
+    for (const name of names) {
+      const versions = {};
+      for (const [version, { requests, errors }] of this.traffic.get(name) || []) {
+        versions[version] = { requests, errors, errorRate: requests ? errors / requests : 0 };
+      }
+      services[name] = { canary: this.canaries.get(name) || null, versions };
+    }
+    return services;
+  }
+}
+
+// CANARY="list-service=2.0.0:10,item-service=beta:5" -> { 'list-service': { version: '2.0.0', percent: 10 }, ... }
+function canariesFromEnv(env = process.env) {
+  const canaries = {};
+  for (const entry of String(env.CANARY || '').split(',')) {
+    const [service, rule] = entry.split('=').map(part => part && part.trim());
+    if (!service || !rule) continue;
+    const separator = rule.lastIndexOf(':');
+    if (separator < 0) continue;
+    canaries[service.toLowerCase()] = { version: rule.slice(0, separator), percent: Number(rule.slice(separator + 1)) };
+  }
+  return canaries;
+}
+
+// SERVICE_TAGS="canary,beta" -> ['canary', 'beta']
+function tagsFromEnv(env = process.env) {
+  return String(env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+module.exports = {
+  VersionRouter,
+  versionOf,
+  matches,
+  canariesFromEnv,
+  tagsFromEnv
+};